@@ -0,0 +1,62 @@
+require('dotenv').config();
+const cluster = require('cluster');
+const os = require('os');
+const path = require('path');
+const config = require('./config');
+const logger = require('./utils/logger');
+const ClusterBroker = require('./scaling/clusterBroker');
+const { createStickyBalancer } = require('./scaling/sticky');
+
+// Multi-process entry point: forks CLUSTER_WORKERS copies of index.js, relays broker messages
+// between them and balances connections with sticky sessions (see scaling/sticky.js).
+// Run this instead of index.js (or PM2's cluster mode, which can't do sticky sessions).
+
+const workerCount = config.CLUSTER_WORKERS || os.cpus().length;
+const workers = new Array(workerCount); // slot -> worker, so a restarted worker keeps its slot
+
+cluster.setupPrimary({ exec: path.join(__dirname, 'index.js') });
+
+// Only the first worker loads saved rooms; the others receive them through room sync and resume
+// the ones they own
+const forkWorker = (slot, restoreRooms) => {
+  const worker = cluster.fork({
+    CLUSTER_WORKER: 'true',
+    WORKER_INDEX: String(slot),
+    WORKER_COUNT: String(workerCount),
+    RESTORE_ROOMS: restoreRooms ? 'true' : 'false'
+  });
+  worker.slot = slot;
+  workers[slot] = worker;
+  return worker;
+};
+
+for (let slot = 0; slot < workerCount; slot++) {
+  forkWorker(slot, slot === 0);
+}
+
+ClusterBroker.relayMessages(cluster);
+
+cluster.on('exit', (worker, code, signal) => {
+  logger.error(`Worker ${worker.slot} exited (${signal || code}), restarting`);
+  forkWorker(worker.slot, false);
+});
+
+const balancer = createStickyBalancer(() => workers);
+
+balancer.listen(config.PORT, config.HOST, () => {
+  logger.info(`🧩 Cluster primary balancing ${workerCount} workers on ${config.HOST}:${config.PORT}`);
+});
+
+const shutdown = (signal) => {
+  logger.info(`${signal} received, stopping workers`);
+  cluster.removeAllListeners('exit');
+  balancer.close();
+  workers.forEach(worker => worker && worker.process.kill(signal));
+  setTimeout(() => process.exit(0), 10000).unref();
+  cluster.on('exit', () => {
+    if (Object.keys(cluster.workers).length === 0) process.exit(0);
+  });
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
@@ -17,25 +17,116 @@ const config = {
   LOG_LEVEL: process.env.LOG_LEVEL || 'info',
   
   // Security
-  JWT_SECRET: process.env.JWT_SECRET || 'your-super-secret-jwt-key-here',
+  JWT_SECRET: process.env.JWT_SECRET || 'your-super-secret-jwt-key-here', // development only, see below
   BCRYPT_ROUNDS: parseInt(process.env.BCRYPT_ROUNDS) || 12,
+  SESSION_TOKEN_TTL: process.env.SESSION_TOKEN_TTL || '24h',
+  ADMIN_USERNAMES: (process.env.ADMIN_USERNAMES || '').split(',').map(name => name.trim().toLowerCase()).filter(Boolean),
+  ACCESS_TOKEN_TTL: process.env.ACCESS_TOKEN_TTL || '15m',
+  REFRESH_TOKEN_TTL: process.env.REFRESH_TOKEN_TTL || '7d',
+  MIN_PASSWORD_LENGTH: 8,
+  MAX_PASSWORD_LENGTH: 72, // bcrypt ignores anything past 72 bytes
   
   // Game Configuration
   MAX_ROOM_AGE_HOURS: parseInt(process.env.MAX_ROOM_AGE_HOURS) || 24,
   CLEANUP_INTERVAL_MS: parseInt(process.env.CLEANUP_INTERVAL_MS) || 5 * 60 * 1000, // 5 minutes
+  DISCONNECT_GRACE_MS: parseInt(process.env.DISCONNECT_GRACE_MS) || 30 * 1000, // 30 seconds
+  
+  // Clustering (see cluster.js)
+  CLUSTER_WORKERS: parseInt(process.env.CLUSTER_WORKERS) || 0, // 0 = one per CPU core
+  CLUSTER_WORKER: process.env.CLUSTER_WORKER === 'true', // set by cluster.js in forked workers
+  WORKER_INDEX: parseInt(process.env.WORKER_INDEX) || 0,
+  WORKER_COUNT: parseInt(process.env.WORKER_COUNT) || 1, // set by cluster.js in forked workers
+  RESTORE_ROOMS: process.env.RESTORE_ROOMS !== 'false', // load saved rooms on startup
+  
+  // Storage
+  STORAGE_DRIVER: process.env.STORAGE_DRIVER || 'memory', // 'memory' or 'file'
+  STORAGE_DIR: process.env.STORAGE_DIR || './data',
+  STORAGE_FLUSH_INTERVAL_MS: parseInt(process.env.STORAGE_FLUSH_INTERVAL_MS) || 5 * 1000, // 5 seconds
+  GAME_HISTORY_LIMIT: 100,
   
   // Validation
   MIN_USERNAME_LENGTH: 2,
   MAX_USERNAME_LENGTH: 20,
-  MAX_CUSTOM_WORD_LENGTH: 5,
+  MAX_CUSTOM_WORD_LENGTH: 7,
   
-  // Game Rules
+  // Game Rules (defaults; each room can override word length and guesses in room.settings)
   MAX_GUESSES: 6,
   WORD_LENGTH: 5,
+  MIN_WORD_LENGTH: 4,
+  MAX_WORD_LENGTH: 7,
+  RECENT_WORDS_LIMIT: 50, // answers a room avoids repeating
+  MIN_GUESSES_ALLOWED: 3,
+  MAX_GUESSES_ALLOWED: 10,
   
   // Room Limits
   DUEL_MAX_PLAYERS: 2,
   BATTLE_ROYALE_MAX_PLAYERS: 8,
+  MIN_PLAYERS: 2,
+  SINGLE_PLAYER_MODES: ['daily', 'solo'],
+  ROUND_INTERMISSION_MS: 5000, // pause between battle royale rounds
+  
+  // Timers (seconds)
+  MIN_TURN_TIME_LIMIT: 10,
+  MAX_TURN_TIME_LIMIT: 300,
+  MIN_GAME_TIME_LIMIT: 30,
+  MAX_GAME_TIME_LIMIT: 60 * 60,
+  TIMER_TICK_INTERVAL_MS: 1000,
+  
+  // Scoring (standard system)
+  SCORING: {
+    SOLVE_POINTS: 100,
+    ATTEMPT_BONUS: 20, // per unused guess
+    SPEED_BONUS_MAX: 60, // loses SPEED_BONUS_DECAY per second taken
+    SPEED_BONUS_DECAY: 1,
+    FINISH_ORDER_BONUS: [30, 20, 10], // 1st, 2nd and 3rd to solve
+    FAILED_ROW_PENALTY: 5
+  },
+  
+  // Solo sprints: solve as many words as possible before the clock runs out
+  SPRINT_DURATIONS: [60, 180, 300], // seconds
+  
+  // Bots
+  BOT_THINK_TIME_MS: { // delay before each bot guess
+    easy: { min: 5000, max: 12000 },
+    medium: { min: 4000, max: 9000 },
+    hard: { min: 3000, max: 7000 }
+  },
+  BOT_TURN_MARGIN_MS: 1000, // with a turn time limit, bots guess at least this long before it runs out
+  BOT_ENTROPY_SAMPLE_SIZE: 250, // words checked per hard bot guess
+  
+  // Daily Challenge
+  DAILY_EPOCH: process.env.DAILY_EPOCH || '2024-01-01', // date of puzzle #1 (UTC)
+  DAILY_SEED: process.env.DAILY_SEED || 'wordleduel-daily', // development only, see below
+  DAILY_RESULTS_DAYS: 7, // days of results kept for the leaderboard
+  DAILY_LEADERBOARD_LIMIT: 50,
+  
+  // Duel ratings (Elo)
+  RATING_INITIAL: 1500,
+  RATING_K_FACTOR: 32,
+  RATING_PROVISIONAL_K_FACTOR: 48, // ratings move faster over a player's first duels
+  RATING_PROVISIONAL_GAMES: 10,
+  RATING_HISTORY_LIMIT: 50, // rating changes kept per player
+  
+  // Matchmaking queue
+  QUEUE_MATCH_SIZES: { duel: 2, battleRoyale: 4 }, // players matched into one room per mode
+  QUEUE_RATING_GAP: 100, // rating difference accepted straight away
+  QUEUE_RATING_GAP_STEP: 50, // how much the accepted difference widens...
+  QUEUE_RATING_GAP_INTERVAL_MS: 5000, // ...every this long in the queue
+  QUEUE_TICK_MS: 1000, // how often waiting players are re-checked while the queue is not empty
+  
+  // Lobby
+  LOBBY_PAGE_SIZE: 20,
+  LOBBY_MAX_PAGE_SIZE: 50,
+  LOBBY_BROADCAST_DEBOUNCE_MS: 500, // room changes are batched into one lobby-updated per this window
+  
+  // Leaderboards
+  LEADERBOARD_CACHE_TTL_MS: parseInt(process.env.LEADERBOARD_CACHE_TTL_MS) || 60 * 1000, // 1 minute
+  LEADERBOARD_PAGE_SIZE: 20,
+  LEADERBOARD_MAX_PAGE_SIZE: 100,
+  LEADERBOARD_MIN_GAMES: 5, // games needed to be ranked by win rate
+  
+  // Series
+  MAX_SERIES_LENGTH: 7, // best-of-7
   
   // Socket.IO Configuration
   SOCKET_PING_TIMEOUT: 60000,
@@ -43,4 +134,14 @@ const config = {
   SOCKET_MAX_HTTP_BUFFER_SIZE: 1e6
 };
 
+// The fallback secret is public, so anyone could sign their own session and account tokens
+if (config.NODE_ENV === 'production' && !process.env.JWT_SECRET) {
+  throw new Error('JWT_SECRET must be set when NODE_ENV is production');
+}
+
+// With the public seed anyone could work out every future daily word
+if (config.NODE_ENV === 'production' && !process.env.DAILY_SEED) {
+  throw new Error('DAILY_SEED must be set when NODE_ENV is production');
+}
+
 module.exports = config;
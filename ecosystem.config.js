@@ -2,9 +2,9 @@ module.exports = {
   apps: [
     {
       name: 'word-duel-server',
-      script: 'index.js',
-      instances: 'max', // Use all available CPU cores
-      exec_mode: 'cluster',
+      // cluster.js forks one worker per core itself and keeps connections for a room on one
+      // worker (sticky sessions), which PM2's cluster mode can't do, so PM2 runs a single process
+      script: 'cluster.js',
       env: {
         NODE_ENV: 'development',
         PORT: 3001,
@@ -49,8 +49,8 @@ module.exports = {
       
       // Advanced settings
       node_args: '--max-old-space-size=1024',
-      instances: 1, // Start with 1, can be scaled
-      exec_mode: 'fork' // Use fork mode for better stability
+      instances: 1, // Scale with CLUSTER_WORKERS instead, see cluster.js
+      exec_mode: 'fork'
     }
   ],
   
@@ -13,13 +13,27 @@ const path = require('path');
 const config = require('./config');
 const logger = require('./utils/logger');
 const { errorHandler, notFound } = require('./middleware/errorHandler');
+const { socketAuth } = require('./middleware/socketAuth');
 
 // Import routes
 const gameRoutes = require('./routes/game');
+const dailyRoutes = require('./routes/daily');
+const soloRoutes = require('./routes/solo');
+const authRoutes = require('./routes/auth');
+const playerRoutes = require('./routes/players');
+const leaderboardRoutes = require('./routes/leaderboard');
+const lobbyRoutes = require('./routes/lobby');
+const adminRoutes = require('./routes/admin');
 
 // Import Socket.IO handler
 const GameHandler = require('./socket/gameHandler');
 
+// Import scaling support for cluster workers
+const ClusterBroker = require('./scaling/clusterBroker');
+const RoomSync = require('./scaling/roomSync');
+const { createBrokerAdapter } = require('./scaling/brokerAdapter');
+const { listenForStickyConnections } = require('./scaling/sticky');
+
 // Import room manager for cleanup
 const roomManager = require('./utils/roomManager');
 
@@ -110,6 +124,13 @@ app.use('/api/v1', (req, res, next) => {
 
 // Use game routes
 app.use('/api/v1', gameRoutes);
+app.use('/api/v1/daily', dailyRoutes);
+app.use('/api/v1/solo', soloRoutes);
+app.use('/api/v1/auth', authRoutes);
+app.use('/api/v1/players', playerRoutes);
+app.use('/api/v1/leaderboard', leaderboardRoutes);
+app.use('/api/v1/lobby', lobbyRoutes);
+app.use('/api/v1/admin', adminRoutes);
 
 // Game routes are now handled in routes/game.js
 
@@ -141,6 +162,16 @@ io.on('connect_timeout', (err) => {
   logger.error('Socket.IO connect timeout:', err);
 });
 
+// In a cluster, broadcasts and room state are shared with the other workers over the broker
+if (config.CLUSTER_WORKER) {
+  const broker = new ClusterBroker();
+  io.adapter(createBrokerAdapter(broker));
+  new RoomSync(roomManager, broker, `worker-${config.WORKER_INDEX}`).start();
+}
+
+// Authenticate sockets with the session token issued by the room endpoints
+io.use(socketAuth);
+
 // Initialize Socket.IO game handler
 const gameHandler = new GameHandler(io);
 
@@ -149,34 +180,48 @@ app.use(notFound);
 app.use(errorHandler);
 
 // Graceful shutdown
-process.on('SIGTERM', () => {
-  logger.info('SIGTERM received, shutting down gracefully');
-  server.close(() => {
+const shutdown = (signal) => {
+  logger.info(`${signal} received, shutting down gracefully`);
+  server.close(async () => {
     // Stop room cleanup interval
     roomManager.stopCleanupInterval();
     logger.info('Room cleanup stopped');
-    logger.info('Process terminated');
-    process.exit(0);
-  });
-});
 
-process.on('SIGINT', () => {
-  logger.info('SIGINT received, shutting down gracefully');
-  server.close(() => {
-    // Stop room cleanup interval
-    roomManager.stopCleanupInterval();
-    logger.info('Room cleanup stopped');
+    // Write live rooms to storage so they survive the restart
+    try {
+      await roomManager.shutdown();
+      logger.info('Rooms saved to storage');
+    } catch (error) {
+      logger.error('Failed to save rooms on shutdown:', error);
+    }
+
     logger.info('Process terminated');
     process.exit(0);
   });
-});
+};
 
-// Start server
-server.listen(PORT, HOST, () => {
-  logger.info(`🚀 Word Duel Server running in ${NODE_ENV} mode`);
-  logger.info(`📍 Server running on ${HOST}:${PORT}`);
-  logger.info(`🔌 Socket.IO available at http://${HOST}:${PORT}`);
-  logger.info(`📊 Health check: http://${HOST}:${PORT}/health`);
-  logger.info(`📚 Enhanced backend with modular architecture`);
-  logger.info(`🏗️  Enhanced backend architecture with modular design`);
-});
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+// Start server once rooms from before a restart are back
+roomManager.restore({ load: config.RESTORE_ROOMS })
+  .catch((error) => {
+    logger.error('Failed to restore rooms from storage:', error);
+  })
+  .then(() => {
+    if (config.CLUSTER_WORKER) {
+      // The cluster primary owns the port and hands us connections (scaling/sticky.js)
+      listenForStickyConnections(server);
+      logger.info(`🧩 Worker ${config.WORKER_INDEX} ready for connections`);
+      return;
+    }
+
+    server.listen(PORT, HOST, () => {
+      logger.info(`🚀 Word Duel Server running in ${NODE_ENV} mode`);
+      logger.info(`📍 Server running on ${HOST}:${PORT}`);
+      logger.info(`🔌 Socket.IO available at http://${HOST}:${PORT}`);
+      logger.info(`📊 Health check: http://${HOST}:${PORT}/health`);
+      logger.info(`📚 Enhanced backend with modular architecture`);
+      logger.info(`🏗️  Enhanced backend architecture with modular design`);
+    });
+  });
@@ -0,0 +1,63 @@
+const { verifyAccessToken } = require('../utils/authTokens');
+const { AuthenticationError, AuthorizationError } = require('./errorHandler');
+const config = require('../config');
+
+// Access token from an `Authorization: Bearer <token>` header, or null
+const getBearerToken = (req) => {
+  const header = req.get('Authorization');
+  if (!header || !header.startsWith('Bearer ')) {
+    return null;
+  }
+  return header.slice('Bearer '.length);
+};
+
+// Attach the logged-in user to req.user; a bad or expired token is rejected rather than
+// treated as a guest, so clients know to refresh it
+const authenticate = (req, required) => {
+  const token = getBearerToken(req);
+
+  if (!token) {
+    if (required) {
+      throw new AuthenticationError('Access token is required');
+    }
+    req.user = null;
+    return;
+  }
+
+  const { username } = verifyAccessToken(token);
+  req.user = { username };
+};
+
+// Routes that need a logged-in user
+const requireAuth = (req, res, next) => {
+  try {
+    authenticate(req, true);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Routes that guests and registered users can both use
+const optionalAuth = (req, res, next) => {
+  try {
+    authenticate(req, false);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Routes only the accounts listed in ADMIN_USERNAMES may use; goes after requireAuth
+const requireAdmin = (req, res, next) => {
+  if (!req.user || !config.ADMIN_USERNAMES.includes(req.user.username.toLowerCase())) {
+    return next(new AuthorizationError('Admin access required'));
+  }
+  next();
+};
+
+module.exports = {
+  requireAuth,
+  optionalAuth,
+  requireAdmin
+};
@@ -18,6 +18,14 @@ class ValidationError extends AppError {
   }
 }
 
+// A guess that was refused without using up an attempt; reason is a machine-readable code
+class GuessRejectedError extends ValidationError {
+  constructor(reason, message) {
+    super(message);
+    this.reason = reason;
+  }
+}
+
 class AuthenticationError extends AppError {
   constructor(message = 'Authentication failed') {
     super(message, 401);
@@ -117,6 +125,7 @@ const asyncHandler = (fn) => (req, res, next) => {
 module.exports = {
   AppError,
   ValidationError,
+  GuessRejectedError,
   AuthenticationError,
   AuthorizationError,
   NotFoundError,
@@ -0,0 +1,68 @@
+const { verifySessionToken } = require('../utils/sessionTokens');
+const logger = require('../utils/logger');
+
+// Pull the session token out of the Socket.IO handshake.
+// Clients should send it as `auth: { token }`; the Authorization header and query string are fallbacks.
+const getHandshakeToken = (socket) => {
+  const { auth = {}, headers = {}, query = {} } = socket.handshake;
+
+  if (auth.token) {
+    return auth.token;
+  }
+
+  const authHeader = headers.authorization;
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    return authHeader.slice('Bearer '.length);
+  }
+
+  return query.token || null;
+};
+
+// Describe why a token was rejected, in the shape of the auth-error event
+const describeAuthFailure = (error, token) => {
+  if (!token) {
+    return { code: 'missing_token', message: 'Session token is required' };
+  }
+
+  if (error.name === 'TokenExpiredError') {
+    return { code: 'token_expired', message: 'Session token expired' };
+  }
+
+  return { code: 'invalid_token', message: 'Invalid session token' };
+};
+
+// Verify a token and attach the identity to the socket.
+// On failure socket.data.player is cleared and socket.data.authError says why.
+const authenticateSocket = (socket, token) => {
+  try {
+    const { username, roomCode } = verifySessionToken(token);
+    socket.data.player = { username, roomCode };
+    socket.data.authError = null;
+  } catch (error) {
+    socket.data.player = null;
+    socket.data.authError = describeAuthFailure(error, token);
+  }
+
+  return socket.data.player;
+};
+
+// Socket.IO handshake middleware.
+// Connections without a valid token are still accepted so the failure can be reported
+// through the auth-error event, but every game handler refuses to act for them.
+const socketAuth = (socket, next) => {
+  const player = authenticateSocket(socket, getHandshakeToken(socket));
+
+  logger.logGameEvent('socket_authenticated', {
+    socketId: socket.id,
+    authenticated: !!player,
+    ...(player ? player : { reason: socket.data.authError.code })
+  });
+
+  next();
+};
+
+module.exports = {
+  socketAuth,
+  authenticateSocket,
+  getHandshakeToken
+};
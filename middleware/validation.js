@@ -1,10 +1,14 @@
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const config = require('../config');
 
+// Registered users play under their account name, so only guests have to send a username
+const isGuest = (value, { req }) => !req.user;
+
 // Validation rules for different endpoints
 const validationRules = {
   createRoom: [
     body('username')
+      .if(isGuest)
       .trim()
       .isLength({ min: config.MIN_USERNAME_LENGTH, max: config.MAX_USERNAME_LENGTH })
       .withMessage(`Username must be between ${config.MIN_USERNAME_LENGTH} and ${config.MAX_USERNAME_LENGTH} characters`)
@@ -12,10 +16,44 @@ const validationRules = {
       .withMessage('Username can only contain letters, numbers, underscores, and hyphens'),
     body('mode')
       .optional()
-      .isIn(['duel', 'battleRoyale'])
-      .withMessage('Mode must be either "duel" or "battleRoyale"')
+      .isIn(['duel', 'battleRoyale', 'solo'])
+      .withMessage('Mode must be "duel", "battleRoyale" or "solo"'),
+    body('hardMode')
+      .optional()
+      .isBoolean()
+      .withMessage('hardMode must be true or false')
+      .toBoolean(),
+    body('wordLength')
+      .optional()
+      .isInt({ min: config.MIN_WORD_LENGTH, max: config.MAX_WORD_LENGTH })
+      .withMessage(`Word length must be between ${config.MIN_WORD_LENGTH} and ${config.MAX_WORD_LENGTH}`)
+      .toInt(),
+    body('maxGuesses')
+      .optional()
+      .isInt({ min: config.MIN_GUESSES_ALLOWED, max: config.MAX_GUESSES_ALLOWED })
+      .withMessage(`Max guesses must be between ${config.MIN_GUESSES_ALLOWED} and ${config.MAX_GUESSES_ALLOWED}`)
+      .toInt(),
+    body('sprintDuration')
+      .optional({ nullable: true })
+      .isIn(config.SPRINT_DURATIONS)
+      .withMessage(`Sprint duration must be one of ${config.SPRINT_DURATIONS.join(', ')} seconds`)
+      .toInt(),
+    body('visibility')
+      .optional()
+      .isIn(['public', 'private'])
+      .withMessage('Visibility must be "public" or "private"')
   ],
   
+  startDaily: [
+    body('username')
+      .if(isGuest)
+      .trim()
+      .isLength({ min: config.MIN_USERNAME_LENGTH, max: config.MAX_USERNAME_LENGTH })
+      .withMessage(`Username must be between ${config.MIN_USERNAME_LENGTH} and ${config.MAX_USERNAME_LENGTH} characters`)
+      .matches(/^[a-zA-Z0-9_-]+$/)
+      .withMessage('Username can only contain letters, numbers, underscores, and hyphens')
+  ],
+
   joinRoom: [
     body('code')
       .trim()
@@ -24,6 +62,7 @@ const validationRules = {
       .matches(/^[A-Z0-9]+$/)
       .withMessage('Room code can only contain uppercase letters and numbers'),
     body('username')
+      .if(isGuest)
       .trim()
       .isLength({ min: config.MIN_USERNAME_LENGTH, max: config.MAX_USERNAME_LENGTH })
       .withMessage(`Username must be between ${config.MIN_USERNAME_LENGTH} and ${config.MAX_USERNAME_LENGTH} characters`)
@@ -31,11 +70,103 @@ const validationRules = {
       .withMessage('Username can only contain letters, numbers, underscores, and hyphens')
   ],
   
+  register: [
+    body('username')
+      .trim()
+      .isLength({ min: config.MIN_USERNAME_LENGTH, max: config.MAX_USERNAME_LENGTH })
+      .withMessage(`Username must be between ${config.MIN_USERNAME_LENGTH} and ${config.MAX_USERNAME_LENGTH} characters`)
+      .matches(/^[a-zA-Z0-9_-]+$/)
+      .withMessage('Username can only contain letters, numbers, underscores, and hyphens'),
+    body('password')
+      .isString()
+      .withMessage('Password is required')
+      .isLength({ min: config.MIN_PASSWORD_LENGTH, max: config.MAX_PASSWORD_LENGTH })
+      .withMessage(`Password must be between ${config.MIN_PASSWORD_LENGTH} and ${config.MAX_PASSWORD_LENGTH} characters`)
+  ],
+
+  login: [
+    body('username')
+      .trim()
+      .notEmpty()
+      .withMessage('Username is required'),
+    body('password')
+      .isString()
+      .notEmpty()
+      .withMessage('Password is required')
+  ],
+
+  refresh: [
+    body('refreshToken')
+      .isString()
+      .notEmpty()
+      .withMessage('Refresh token is required')
+  ],
+
+  lobby: [
+    query('mode')
+      .optional()
+      .isIn(['duel', 'battleRoyale'])
+      .withMessage('Mode must be "duel" or "battleRoyale"'),
+    query('wordLength')
+      .optional()
+      .isInt({ min: config.MIN_WORD_LENGTH, max: config.MAX_WORD_LENGTH })
+      .withMessage(`Word length must be between ${config.MIN_WORD_LENGTH} and ${config.MAX_WORD_LENGTH}`)
+      .toInt(),
+    query('hardMode')
+      .optional()
+      .isBoolean()
+      .withMessage('hardMode must be true or false')
+      .toBoolean(),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive number')
+      .toInt(),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: config.LOBBY_MAX_PAGE_SIZE })
+      .withMessage(`Limit must be between 1 and ${config.LOBBY_MAX_PAGE_SIZE}`)
+      .toInt()
+  ],
+
+  history: [
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: config.GAME_HISTORY_LIMIT })
+      .withMessage(`Limit must be between 1 and ${config.GAME_HISTORY_LIMIT}`)
+      .toInt()
+  ],
+
+  leaderboard: [
+    query('mode')
+      .optional()
+      .isIn(['all', 'duel', 'battleRoyale', 'solo', 'daily'])
+      .withMessage('Mode must be "all", "duel", "battleRoyale", "solo" or "daily"'),
+    query('period')
+      .optional()
+      .isIn(['day', 'week', 'month', 'all'])
+      .withMessage('Period must be "day", "week", "month" or "all"'),
+    query('metric')
+      .optional()
+      .isIn(['wins', 'winRate', 'fastest', 'streak'])
+      .withMessage('Metric must be "wins", "winRate", "fastest" or "streak"'),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive number')
+      .toInt(),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: config.LEADERBOARD_MAX_PAGE_SIZE })
+      .withMessage(`Limit must be between 1 and ${config.LEADERBOARD_MAX_PAGE_SIZE}`)
+      .toInt()
+  ],
+
   validateWord: [
     body('word')
       .trim()
-      .isLength({ min: config.WORD_LENGTH, max: config.WORD_LENGTH })
-      .withMessage(`Word must be exactly ${config.WORD_LENGTH} characters`)
+      .isLength({ min: config.MIN_WORD_LENGTH, max: config.MAX_WORD_LENGTH })
+      .withMessage(`Word must be between ${config.MIN_WORD_LENGTH} and ${config.MAX_WORD_LENGTH} characters`)
       .matches(/^[a-zA-Z]+$/)
       .withMessage('Word can only contain letters')
   ],
@@ -48,8 +179,8 @@ const validationRules = {
     body('customWord')
       .optional()
       .trim()
-      .isLength({ min: config.WORD_LENGTH, max: config.WORD_LENGTH })
-      .withMessage(`Custom word must be exactly ${config.WORD_LENGTH} characters`)
+      .isLength({ min: config.MIN_WORD_LENGTH, max: config.MAX_CUSTOM_WORD_LENGTH })
+      .withMessage(`Custom word must be between ${config.MIN_WORD_LENGTH} and ${config.MAX_CUSTOM_WORD_LENGTH} characters`)
       .matches(/^[a-zA-Z]+$/)
       .withMessage('Custom word can only contain letters')
   ]
@@ -64,7 +195,8 @@ const handleValidationErrors = (req, res, next) => {
       details: errors.array().map(err => ({
         field: err.path,
         message: err.msg,
-        value: err.value
+        // Never echo passwords back
+        value: err.path === 'password' ? undefined : err.value
       }))
     });
   }
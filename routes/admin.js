@@ -0,0 +1,39 @@
+const express = require('express');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { requireAuth, requireAdmin } = require('../middleware/auth');
+const roomManager = require('../utils/roomManager');
+
+const router = express.Router();
+
+// Everything here needs an access token for an account listed in ADMIN_USERNAMES
+router.use(requireAuth, requireAdmin);
+
+// Every room on this server, whatever its visibility or status
+router.get('/rooms', asyncHandler(async (req, res) => {
+  const rooms = roomManager.getAllRooms();
+  const stats = {
+    total: roomManager.getTotalRoomCount(),
+    active: roomManager.getActiveRoomCount(),
+    waiting: rooms.filter(r => r.status === 'waiting').length,
+    playing: rooms.filter(r => r.status === 'playing').length,
+    finished: rooms.filter(r => r.status === 'finished').length
+  };
+  
+  res.json({ 
+    rooms: rooms.map(room => ({
+      code: room.code,
+      mode: room.mode,
+      status: room.status,
+      visibility: room.settings.visibility || 'private',
+      hostId: room.hostId,
+      playerCount: room.players.length,
+      maxPlayers: room.maxPlayers,
+      createdAt: room.createdAt,
+      lastActivity: room.lastActivity
+    })), 
+    stats,
+    timestamp: new Date().toISOString()
+  });
+}));
+
+module.exports = router;
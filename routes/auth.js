@@ -0,0 +1,70 @@
+const express = require('express');
+const { validationRules, handleValidationErrors } = require('../middleware/validation');
+const { asyncHandler, AuthenticationError } = require('../middleware/errorHandler');
+const { requireAuth } = require('../middleware/auth');
+const accounts = require('../utils/accounts');
+const { issueAuthTokens, verifyRefreshToken } = require('../utils/authTokens');
+
+const router = express.Router();
+
+// Create an account and log straight in
+router.post('/register',
+  validationRules.register,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const { username, password } = req.body;
+
+    const user = await accounts.register(username, password);
+
+    res.status(201).json({
+      user,
+      ...issueAuthTokens(user.username)
+    });
+  })
+);
+
+// Exchange a username and password for tokens
+router.post('/login',
+  validationRules.login,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const { username, password } = req.body;
+
+    const user = await accounts.login(username, password);
+
+    res.json({
+      user,
+      ...issueAuthTokens(user.username)
+    });
+  })
+);
+
+// Exchange a refresh token for a new token pair
+router.post('/refresh',
+  validationRules.refresh,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const { username } = verifyRefreshToken(req.body.refreshToken);
+
+    // Make sure the account still exists before handing out new tokens
+    const account = await accounts.findAccount(username);
+    if (!account) {
+      throw new AuthenticationError('Account no longer exists');
+    }
+    const user = accounts.serializeAccount(account);
+
+    res.json({
+      user,
+      ...issueAuthTokens(user.username)
+    });
+  })
+);
+
+// The logged-in user's account
+router.get('/me', requireAuth, asyncHandler(async (req, res) => {
+  res.json({
+    user: await accounts.getAccount(req.user.username)
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,66 @@
+const express = require('express');
+const { validationRules, handleValidationErrors } = require('../middleware/validation');
+const { asyncHandler, ValidationError } = require('../middleware/errorHandler');
+const dailyChallenge = require('../utils/dailyChallenge');
+const roomManager = require('../utils/roomManager');
+const accounts = require('../utils/accounts');
+const { issueSessionToken } = require('../utils/sessionTokens');
+const { optionalAuth } = require('../middleware/auth');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+const router = express.Router();
+
+// Parse an optional ?date=YYYY-MM-DD, defaulting to today (UTC)
+const parseDate = (value) => {
+  if (!value) return new Date();
+
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(Date.parse(value))) {
+    throw new ValidationError('Date must be in YYYY-MM-DD format');
+  }
+  return new Date(value);
+};
+
+// Today's puzzle
+router.get('/', asyncHandler(async (req, res) => {
+  res.json({
+    ...(await dailyChallenge.getPuzzle()),
+    timestamp: new Date().toISOString()
+  });
+}));
+
+// Start or resume today's puzzle; play it over the socket with the returned token
+router.post('/start',
+  optionalAuth,
+  validationRules.startDaily,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const username = await accounts.resolveUsername(req.user, req.body.username);
+
+    const { room, result, resumed } = await dailyChallenge.startAttempt(username);
+
+    logger.logGameEvent('daily_start_requested', { username, roomCode: room.code, resumed });
+
+    res.json({
+      puzzleNumber: result.puzzleNumber,
+      code: room.code,
+      resumed,
+      settings: room.settings,
+      token: issueSessionToken(username, room.code),
+      room: roomManager.serializeRoom(room)
+    });
+  })
+);
+
+// Ranked results for a day
+router.get('/leaderboard', asyncHandler(async (req, res) => {
+  const date = parseDate(req.query.date);
+  const limit = Math.min(parseInt(req.query.limit) || config.DAILY_LEADERBOARD_LIMIT, config.DAILY_LEADERBOARD_LIMIT);
+
+  res.json({
+    ...(await dailyChallenge.getLeaderboard(date, limit)),
+    timestamp: new Date().toISOString()
+  });
+}));
+
+module.exports = router;
@@ -1,9 +1,15 @@
 const express = require('express');
 const { validationRules, handleValidationErrors } = require('../middleware/validation');
-const { asyncHandler } = require('../middleware/errorHandler');
+const { asyncHandler, ValidationError } = require('../middleware/errorHandler');
 const roomManager = require('../utils/roomManager');
 const wordValidator = require('../utils/wordValidator');
+const dailyChallenge = require('../utils/dailyChallenge');
+const accounts = require('../utils/accounts');
+const ratings = require('../utils/ratings');
+const { issueSessionToken } = require('../utils/sessionTokens');
+const { optionalAuth } = require('../middleware/auth');
 const logger = require('../utils/logger');
+const config = require('../config');
 
 const router = express.Router();
 
@@ -14,7 +20,7 @@ router.post('/validate-word',
   asyncHandler(async (req, res) => {
     const { word } = req.body;
     
-    const isValid = wordValidator.isValidWord(word);
+    const isValid = wordValidator.isValidWord(word, word.length);
     const suggestions = isValid ? [] : wordValidator.getSuggestions(word, 5);
     
     logger.logGameEvent('word_validated', { 
@@ -34,14 +40,31 @@ router.post('/validate-word',
 
 // Create room endpoint
 router.post('/create-room',
+  optionalAuth,
   validationRules.createRoom,
   handleValidationErrors,
   asyncHandler(async (req, res) => {
-    const { username, mode = 'duel' } = req.body;
+    const { mode = 'duel', hardMode = false, wordLength, maxGuesses, sprintDuration, visibility } = req.body;
+    const username = await accounts.resolveUsername(req.user, req.body.username);
     
-    logger.logGameEvent('room_creation_requested', { username, mode });
+    logger.logGameEvent('room_creation_requested', { username, mode, hardMode, wordLength, maxGuesses, sprintDuration });
     
-    const room = roomManager.createRoom(username, mode);
+    if (wordLength && !wordValidator.getAvailableLengths().includes(wordLength)) {
+      throw new ValidationError(`Word length must be one of ${wordValidator.getAvailableLengths().join(', ')}`);
+    }
+    
+    if (sprintDuration && mode !== 'solo') {
+      throw new ValidationError('Sprints are only available in solo mode');
+    }
+    
+    if (visibility === 'public' && config.SINGLE_PLAYER_MODES.includes(mode)) {
+      throw new ValidationError('Single-player rooms cannot be listed in the lobby');
+    }
+    
+    // So the player's seat shows their current rating
+    await ratings.load(username);
+    
+    const room = roomManager.createRoom(username, mode, { hardMode, wordLength, maxGuesses, sprintDuration, visibility });
     
     logger.logGameEvent('room_created', { 
       roomCode: room.code, 
@@ -53,20 +76,31 @@ router.post('/create-room',
       code: room.code, 
       mode: room.mode,
       maxPlayers: room.maxPlayers,
-      settings: room.settings
+      settings: room.settings,
+      token: issueSessionToken(username, room.code)
     });
   })
 );
 
 // Join room endpoint
 router.post('/join-room',
+  optionalAuth,
   validationRules.joinRoom,
   handleValidationErrors,
   asyncHandler(async (req, res) => {
-    const { code, username } = req.body;
+    const { code } = req.body;
+
+    // In a cluster the `room` query parameter routes the request to the worker that owns the room
+    if (!roomManager.ownsRoom(code)) {
+      throw new ValidationError(`Send this request with the "room=${code}" query parameter`);
+    }
+
+    const username = await accounts.resolveUsername(req.user, req.body.username);
     
     logger.logGameEvent('room_join_requested', { roomCode: code, username });
     
+    await ratings.load(username);
+    
     const room = roomManager.addPlayerToRoom(code, username);
     
     logger.logGameEvent('player_joined_room', { 
@@ -77,6 +111,7 @@ router.post('/join-room',
     
     res.json({ 
       success: true, 
+      token: issueSessionToken(username, room.code),
       room: {
         code: room.code,
         mode: room.mode,
@@ -85,7 +120,8 @@ router.post('/join-room',
           username: p.username,
           score: p.score,
           eliminated: p.eliminated,
-          won: p.won
+          won: p.won,
+          rating: p.rating
         })),
         maxPlayers: room.maxPlayers,
         hostId: room.hostId
@@ -126,31 +162,24 @@ router.get('/room/:code', asyncHandler(async (req, res) => {
   });
 }));
 
-// Get all rooms (debug endpoint)
-router.get('/rooms', asyncHandler(async (req, res) => {
-  const rooms = roomManager.getAllRooms();
-  const stats = {
-    total: roomManager.getTotalRoomCount(),
-    active: roomManager.getActiveRoomCount(),
-    waiting: rooms.filter(r => r.status === 'waiting').length,
-    playing: rooms.filter(r => r.status === 'playing').length,
-    finished: rooms.filter(r => r.status === 'finished').length
-  };
-  
-  res.json({ 
-    rooms: rooms.map(room => ({
-      code: room.code,
-      mode: room.mode,
-      status: room.status,
-      playerCount: room.players.length,
-      maxPlayers: room.maxPlayers,
-      createdAt: room.createdAt,
-      lastActivity: room.lastActivity
-    })), 
-    stats,
-    timestamp: new Date().toISOString()
-  });
-}));
+// Finished games, newest first (?username= to filter, ?limit=N)
+router.get('/history',
+  validationRules.history,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const { username = null, limit = 20 } = req.query;
+
+    // The daily word stays secret until the day rolls over, or anyone could read it here
+    const games = (await roomManager.getGameHistory({ username, limit })).map(game =>
+      (game.mode === 'daily' && dailyChallenge.isCurrentPuzzle(game.startedAt) ? { ...game, solutionWord: null } : game));
+
+    res.json({
+      games,
+      count: games.length,
+      timestamp: new Date().toISOString()
+    });
+  })
+);
 
 // Get word statistics
 router.get('/words/stats', asyncHandler(async (req, res) => {
@@ -171,10 +200,14 @@ router.get('/words/difficulty/:level', asyncHandler(async (req, res) => {
     return res.status(400).json({ error: 'Difficulty level must be 1, 2, or 3' });
   }
   
-  const words = wordValidator.getWordsByDifficulty(difficulty);
+  const answersOnly = req.query.answers === 'true';
+  const length = req.query.length ? parseInt(req.query.length) : null;
+  const words = wordValidator.getWordsByDifficulty(difficulty, { answersOnly, length });
   
   res.json({
     difficulty: level,
+    answersOnly,
+    length,
     count: words.length,
     words: words.slice(0, 50), // Limit to 50 words for response size
     timestamp: new Date().toISOString()
@@ -0,0 +1,22 @@
+const express = require('express');
+const { validationRules, handleValidationErrors } = require('../middleware/validation');
+const { asyncHandler } = require('../middleware/errorHandler');
+const leaderboard = require('../utils/leaderboard');
+
+const router = express.Router();
+
+// Rankings from finished games (?mode=, ?period=, ?metric=, ?page=, ?limit=)
+router.get('/',
+  validationRules.leaderboard,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const { mode, period, metric, page, limit } = req.query;
+
+    res.json({
+      ...(await leaderboard.getLeaderboard({ mode, period, metric, page, limit })),
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
+module.exports = router;
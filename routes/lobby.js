@@ -0,0 +1,22 @@
+const express = require('express');
+const { validationRules, handleValidationErrors } = require('../middleware/validation');
+const { asyncHandler } = require('../middleware/errorHandler');
+const roomManager = require('../utils/roomManager');
+
+const router = express.Router();
+
+// Joinable public rooms (?mode=, ?wordLength=, ?hardMode=, ?page=, ?limit=)
+router.get('/',
+  validationRules.lobby,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const { mode, wordLength, hardMode, page, limit } = req.query;
+
+    res.json({
+      ...roomManager.getLobbyRooms({ mode, wordLength, hardMode, page, limit }),
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
+module.exports = router;
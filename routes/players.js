@@ -0,0 +1,56 @@
+const express = require('express');
+const { asyncHandler, NotFoundError } = require('../middleware/errorHandler');
+const playerProfiles = require('../utils/playerProfiles');
+const playerStats = require('../utils/playerStats');
+const ratings = require('../utils/ratings');
+
+const router = express.Router();
+
+// Public profile: account info (for registered players), duel rating and headline stats
+router.get('/:username', asyncHandler(async (req, res) => {
+  const profile = await playerProfiles.get(req.params.username);
+  if (!profile) {
+    throw new NotFoundError('Player not found');
+  }
+
+  const stats = await playerStats.getStats(profile.username);
+
+  res.json({
+    profile: {
+      username: profile.username,
+      registered: Boolean(profile.passwordHash),
+      createdAt: profile.createdAt || null,
+      rating: await ratings.getRating(profile.username),
+      gamesPlayed: stats ? stats.gamesPlayed : 0,
+      winRate: stats ? stats.winRate : 0
+    },
+    timestamp: new Date().toISOString()
+  });
+}));
+
+// Lifetime stats across all finished games
+router.get('/:username/stats', asyncHandler(async (req, res) => {
+  const stats = await playerStats.getStats(req.params.username);
+  if (!stats) {
+    throw new NotFoundError('No games recorded for this player');
+  }
+
+  res.json({
+    stats,
+    timestamp: new Date().toISOString()
+  });
+}));
+
+// Duel rating and its recent changes, newest first
+router.get('/:username/ratings', asyncHandler(async (req, res) => {
+  const { username } = req.params;
+
+  res.json({
+    username,
+    ...(await ratings.getRating(username)),
+    history: await ratings.getHistory(username),
+    timestamp: new Date().toISOString()
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,20 @@
+const express = require('express');
+const { asyncHandler, NotFoundError } = require('../middleware/errorHandler');
+const soloStats = require('../utils/soloStats');
+
+const router = express.Router();
+
+// Personal solo practice and sprint records
+router.get('/stats/:username', asyncHandler(async (req, res) => {
+  const stats = await soloStats.getStats(req.params.username);
+  if (!stats) {
+    throw new NotFoundError('No solo games recorded for this player');
+  }
+
+  res.json({
+    stats,
+    timestamp: new Date().toISOString()
+  });
+}));
+
+module.exports = router;
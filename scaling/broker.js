@@ -0,0 +1,18 @@
+// Interface for the message bus that connects server processes. Messages must be plain
+// JSON-serialisable objects; subscribers on every process (including the sender) receive them.
+class Broker {
+  // Send a message to every subscriber of a channel
+  publish(channel, message) {
+    throw new Error(`${this.constructor.name} does not implement publish`);
+  }
+
+  // Listen on a channel; returns a function that removes the listener
+  subscribe(channel, handler) {
+    throw new Error(`${this.constructor.name} does not implement subscribe`);
+  }
+
+  // Stop delivering messages
+  close() {}
+}
+
+module.exports = Broker;
@@ -0,0 +1,49 @@
+const { ClusterAdapterWithHeartbeat } = require('socket.io-adapter');
+
+// Socket.IO adapter that carries broadcasts, room joins, fetchSockets() and serverSideEmit()
+// between server processes over a Broker. Each namespace uses two channels: one shared by all
+// processes and one per process for replies to its requests.
+//
+//   io.adapter(createBrokerAdapter(broker));
+function createBrokerAdapter(broker, opts = {}) {
+  return function (nsp) {
+    return new BrokerAdapter(nsp, broker, opts);
+  };
+}
+
+class BrokerAdapter extends ClusterAdapterWithHeartbeat {
+  constructor(nsp, broker, opts) {
+    super(nsp, opts);
+    this.broker = broker;
+    this.channel = `socket.io#${nsp.name}#`;
+    this.responseChannel = `${this.channel}${this.uid}#`;
+
+    this.unsubscribers = [
+      broker.subscribe(this.channel, (message) => {
+        // Our own messages come back too
+        if (message.uid !== this.uid) this.onMessage(message);
+      }),
+      broker.subscribe(this.responseChannel, (response) => this.onResponse(response))
+    ];
+
+    // Announce ourselves so the other processes start counting us (socket.io doesn't call init)
+    this.init();
+  }
+
+  doPublish(message) {
+    this.broker.publish(this.channel, message);
+    return Promise.resolve();
+  }
+
+  doPublishResponse(requesterUid, response) {
+    this.broker.publish(`${this.channel}${requesterUid}#`, response);
+    return Promise.resolve();
+  }
+
+  close() {
+    super.close();
+    this.unsubscribers.forEach(unsubscribe => unsubscribe());
+  }
+}
+
+module.exports = { createBrokerAdapter, BrokerAdapter };
@@ -0,0 +1,51 @@
+const EventEmitter = require('events');
+const Broker = require('./broker');
+
+const MESSAGE_TYPE = 'broker:message';
+
+// Broker for workers forked by cluster.js. Workers send messages to the primary over the
+// built-in IPC channel and the primary relays them to every worker (see relayMessages).
+class ClusterBroker extends Broker {
+  constructor(proc = process) {
+    super();
+    this.process = proc;
+    this.channels = new EventEmitter();
+    this.channels.setMaxListeners(0);
+
+    this.onMessage = (msg) => {
+      if (msg && msg.type === MESSAGE_TYPE) {
+        this.channels.emit(msg.channel, msg.message);
+      }
+    };
+    this.process.on('message', this.onMessage);
+  }
+
+  publish(channel, message) {
+    this.process.send({ type: MESSAGE_TYPE, channel, message });
+  }
+
+  subscribe(channel, handler) {
+    this.channels.on(channel, handler);
+    return () => this.channels.off(channel, handler);
+  }
+
+  close() {
+    this.process.off('message', this.onMessage);
+    this.channels.removeAllListeners();
+  }
+
+  // Primary side: forward every broker message from a worker to all workers
+  static relayMessages(cluster) {
+    cluster.on('message', (sender, msg) => {
+      if (!msg || msg.type !== MESSAGE_TYPE) return;
+
+      Object.values(cluster.workers).forEach(worker => {
+        if (worker && worker.isConnected()) {
+          worker.send(msg);
+        }
+      });
+    });
+  }
+}
+
+module.exports = ClusterBroker;
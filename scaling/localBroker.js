@@ -0,0 +1,39 @@
+const EventEmitter = require('events');
+const Broker = require('./broker');
+
+// Shared by every LocalBroker in the process unless a bus is passed in
+const defaultBus = new EventEmitter();
+defaultBus.setMaxListeners(0);
+
+// In-process stand-in for a real broker: several "servers" in one process (e.g. in tests) can
+// talk through a shared bus. Messages are copied and delivered asynchronously, like a network would.
+class LocalBroker extends Broker {
+  constructor(bus = defaultBus) {
+    super();
+    this.bus = bus;
+    this.listeners = [];
+  }
+
+  publish(channel, message) {
+    const payload = JSON.stringify(message);
+    setImmediate(() => this.bus.emit(channel, payload));
+  }
+
+  subscribe(channel, handler) {
+    const listener = (payload) => handler(JSON.parse(payload));
+    this.bus.on(channel, listener);
+    this.listeners.push([channel, listener]);
+
+    return () => {
+      this.bus.off(channel, listener);
+      this.listeners = this.listeners.filter(([, l]) => l !== listener);
+    };
+  }
+
+  close() {
+    this.listeners.forEach(([channel, listener]) => this.bus.off(channel, listener));
+    this.listeners = [];
+  }
+}
+
+module.exports = LocalBroker;
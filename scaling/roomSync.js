@@ -0,0 +1,82 @@
+const logger = require('../utils/logger');
+
+const CHANNEL = 'rooms';
+
+// Keeps every process's RoomManager in step: each change is published as a full room snapshot
+// with a version number, and the newest version wins on every process. A process that starts
+// late asks the others for all their rooms.
+//
+// Only the worker that owns a room changes it (see scaling/sticky.js), so snapshots of a room
+// all come from one writer and never conflict. The owner ignores snapshots of its own rooms.
+class RoomSync {
+  constructor(roomManager, broker, nodeId) {
+    this.roomManager = roomManager;
+    this.broker = broker;
+    this.nodeId = nodeId;
+    this.pending = new Set(); // room codes with a snapshot queued for this tick
+    this.unsubscribe = null;
+
+    this.onRoomChanged = (room) => this.schedulePublish(room.code);
+    this.onRoomDeleted = (code, { remote = false } = {}) => {
+      if (!remote) this.broker.publish(CHANNEL, { type: 'delete', from: this.nodeId, code });
+    };
+  }
+
+  // Start publishing local changes and applying everyone else's
+  start() {
+    this.roomManager.on('roomChanged', this.onRoomChanged);
+    this.roomManager.on('roomDeleted', this.onRoomDeleted);
+    this.unsubscribe = this.broker.subscribe(CHANNEL, (message) => this.handleMessage(message));
+
+    // Catch up with rooms created before this process started
+    this.broker.publish(CHANNEL, { type: 'sync-request', from: this.nodeId });
+
+    logger.info(`Room sync started on node ${this.nodeId}`);
+  }
+
+  stop() {
+    this.roomManager.off('roomChanged', this.onRoomChanged);
+    this.roomManager.off('roomDeleted', this.onRoomDeleted);
+    if (this.unsubscribe) this.unsubscribe();
+  }
+
+  // Several changes in one tick go out as a single snapshot
+  schedulePublish(code) {
+    if (this.pending.has(code)) return;
+    this.pending.add(code);
+
+    setImmediate(() => {
+      this.pending.delete(code);
+      const room = this.roomManager.getRoom(code);
+      if (room) {
+        this.broker.publish(CHANNEL, { type: 'snapshot', from: this.nodeId, room });
+      }
+    });
+  }
+
+  handleMessage(message) {
+    if (message.from === this.nodeId) return;
+
+    try {
+      switch (message.type) {
+        case 'snapshot':
+          this.roomManager.applyRemoteRoom(message.room);
+          break;
+        case 'delete':
+          this.roomManager.applyRemoteDelete(message.code);
+          break;
+        case 'sync-request':
+          this.roomManager.getAllRooms().forEach(room => {
+            this.broker.publish(CHANNEL, { type: 'snapshot', from: this.nodeId, room });
+          });
+          break;
+        default:
+          break;
+      }
+    } catch (error) {
+      logger.logError(error, { operation: 'room_sync', type: message.type });
+    }
+  }
+}
+
+module.exports = RoomSync;
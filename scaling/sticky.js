@@ -0,0 +1,103 @@
+const net = require('net');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+const CONNECTION_TYPE = 'sticky:connection';
+
+// Sticky sessions
+//
+// Socket.IO needs every request of a session to reach the same process: the HTTP long-polling
+// transport sends many requests per session and the handshake state only exists on the worker
+// that created it. Wordle Duel also sends every connection for a room to the same worker, which
+// owns the room: only the owner changes it (RoomManager.ownsRoom), and the other workers hold
+// read-only copies that RoomSync keeps up to date. Socket events and REST joins for a room that
+// reach another worker are rejected, so two workers never write the same room.
+//
+// The primary process (cluster.js) therefore accepts the TCP connections itself, peeks at the
+// first HTTP request line and hashes:
+//   1. the `room` query parameter, which clients send when connecting:
+//        io(url, { auth: { token }, query: { room: code } })
+//   2. the `queue` query parameter, so every quick play client waiting for a mode shares one queue:
+//        io(url, { query: { queue: 'duel' } })
+//   3. otherwise the client's address, so a client without a room still always hits one worker
+// The REST join takes the same parameter: POST /api/game/join-room?room=CODE
+// The connection handle and the bytes already read are then passed to the chosen worker.
+//
+// Workers create rooms only with codes that hash back to themselves (see isLocalStickyKey), so a
+// quick play match is already on the worker its players will reconnect to with `room`.
+//
+// When running several hosts behind nginx instead, use the same key there:
+//   upstream word_duel_backend { hash $arg_room consistent; ... }
+// Plain round robin without stickiness breaks long-polling.
+
+// 32-bit FNV-1a hash
+const hash = (str) => {
+  let h = 2166136261;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 16777619);
+  }
+  return h >>> 0;
+};
+
+// The routing key for a connection, from the first chunk of its first request
+function getStickyKey(firstChunk, remoteAddress) {
+  const requestLine = firstChunk.toString('latin1', 0, Math.min(firstChunk.length, 2048)).split('\r\n')[0];
+  const room = /[?&]room=([A-Za-z0-9]+)/.exec(requestLine);
+  if (room) return `room:${room[1].toUpperCase()}`;
+
+  const queue = /[?&]queue=([A-Za-z]+)/.exec(requestLine);
+  return queue ? `queue:${queue[1]}` : `addr:${remoteAddress}`;
+}
+
+// Slot of the worker a sticky key is sent to
+function getWorkerSlot(key, workerCount) {
+  return hash(key) % workerCount;
+}
+
+// Worker side: whether connections with this sticky key are sent to this process.
+// Always true outside a cluster.
+function isLocalStickyKey(key) {
+  return !config.CLUSTER_WORKER || getWorkerSlot(key, config.WORKER_COUNT) === config.WORKER_INDEX;
+}
+
+// Primary side: accept connections and hand each one to a worker picked by its sticky key.
+// getWorkers() returns the workers by slot, with gaps or dead workers for slots being restarted.
+function createStickyBalancer(getWorkers) {
+  return net.createServer({ pauseOnConnect: true }, (socket) => {
+    socket.once('data', (chunk) => {
+      socket.pause();
+
+      const workers = getWorkers();
+      const key = getStickyKey(chunk, socket.remoteAddress);
+      let worker = workers[getWorkerSlot(key, workers.length)];
+
+      if (!worker || !worker.isConnected()) {
+        // Rooms and queues only live on their own slot, so those clients retry until it is back
+        worker = key.startsWith('addr:') ? workers.find(w => w && w.isConnected()) : null;
+      }
+      if (!worker) {
+        socket.destroy();
+        return;
+      }
+
+      worker.send({ type: CONNECTION_TYPE, data: chunk.toString('base64') }, socket, { keepOpen: false });
+    });
+
+    socket.on('error', (error) => logger.error('Sticky balancer socket error:', error));
+    socket.resume();
+  });
+}
+
+// Worker side: serve connections handed over by the primary instead of listening on a port
+function listenForStickyConnections(server) {
+  process.on('message', (msg, socket) => {
+    if (!msg || msg.type !== CONNECTION_TYPE || !socket) return;
+
+    server.emit('connection', socket);
+    socket.unshift(Buffer.from(msg.data, 'base64'));
+    socket.resume();
+  });
+}
+
+module.exports = { createStickyBalancer, listenForStickyConnections, getStickyKey, getWorkerSlot, isLocalStickyKey };
@@ -1,12 +1,55 @@
 const logger = require('../utils/logger');
 const roomManager = require('../utils/roomManager');
+const playerRegistry = require('../utils/playerRegistry');
 const wordValidator = require('../utils/wordValidator');
+const dailyChallenge = require('../utils/dailyChallenge');
+const soloStats = require('../utils/soloStats');
+const playerStats = require('../utils/playerStats');
+const ratings = require('../utils/ratings');
+const accounts = require('../utils/accounts');
+const matchmaker = require('../utils/matchmaker');
+const { issueSessionToken } = require('../utils/sessionTokens');
+const { verifyAccessToken } = require('../utils/authTokens');
+const botPlayer = require('../utils/botPlayer');
+const { authenticateSocket } = require('../middleware/socketAuth');
+const { isLocalStickyKey } = require('../scaling/sticky');
+const { GuessRejectedError, ValidationError, AuthenticationError } = require('../middleware/errorHandler');
 const config = require('../config');
 
 class GameHandler {
   constructor(io) {
     this.io = io;
+    this.disconnectTimers = new Map(); // roomCode:username -> grace timeout
+    this.roomTimers = new Map(); // roomCode -> game/turn timeouts and tick interval
+    this.botTimers = new Map(); // roomCode -> pending bot guess timeouts
+    this.listedRooms = new Set(); // codes of rooms in the public lobby as of their last change
+    this.lobbyTimer = null;
     this.setupEventHandlers();
+
+    // Rooms can be deleted by cleanup without going through a handler
+    roomManager.on('roomDeleted', (roomCode, { remote = false } = {}) => {
+      this.clearRoomTimers(roomCode);
+      this.clearBotTimers(roomCode);
+
+      // The worker that deleted the room updates the lobby for everyone
+      if (!remote && this.listedRooms.delete(roomCode)) {
+        this.scheduleLobbyBroadcast();
+      }
+    });
+
+    roomManager.on('roomChanged', (room) => this.handleLobbyRoomChanged(room));
+
+    // Rooms brought back from storage after a restart need their clocks and bots running again
+    roomManager.on('roomRestored', (room) => this.resumeRestoredRoom(room));
+
+    // Quick play matches are made outside any socket event (the queue re-checks on a timer)
+    matchmaker.on('match', ({ room, entries }) => this.handleMatchFound(room, entries));
+    matchmaker.on('matchFailed', ({ entries }) => {
+      entries.forEach(entry => {
+        const socket = this.io.sockets.sockets.get(entry.socketId);
+        if (socket) socket.emit('queue-error', { message: 'Could not set up the match, please queue again' });
+      });
+    });
   }
 
   setupEventHandlers() {
@@ -18,15 +61,38 @@ class GameHandler {
       logger.info(`📡 Socket transport: ${socket.conn.transport.name}`);
       logger.info(`🌐 Socket headers:`, socket.handshake.headers);
       
+      // Let the client know straight away if the handshake token was rejected
+      if (socket.data.authError && socket.data.authError.code !== 'missing_token') {
+        socket.emit('auth-error', { ...socket.data.authError, event: 'connection' });
+      }
+      
       // Join room
       socket.on('join-room', (data) => this.handleJoinRoom(socket, data));
       
+      // Resume a seat with a session token after a dropped connection
+      socket.on('resume', (data) => this.handleResume(socket, data));
+      
       // Start game
       socket.on('start-game', (data) => this.handleStartGame(socket, data));
       
       // Submit guess
       socket.on('submit-guess', (data) => this.handleSubmitGuess(socket, data));
       
+      // Play again in the same room
+      socket.on('rematch', () => this.handleRematch(socket));
+      
+      // Watch a room without taking a player slot
+      socket.on('spectate-room', (data) => this.handleSpectateRoom(socket, data));
+      socket.on('stop-spectating', () => this.handleStopSpectating(socket));
+      
+      // Live list of joinable public rooms
+      socket.on('lobby-subscribe', (data) => this.handleLobbySubscribe(socket, data));
+      socket.on('lobby-unsubscribe', () => this.handleLobbyUnsubscribe(socket));
+      
+      // Quick play matchmaking
+      socket.on('queue-join', (data) => this.handleQueueJoin(socket, data));
+      socket.on('queue-leave', () => this.handleQueueLeave(socket));
+      
       // Player disconnect
       socket.on('disconnect', () => this.handleDisconnect(socket));
       
@@ -35,10 +101,52 @@ class GameHandler {
       
       // Get room status
       socket.on('get-room-status', (data) => this.handleGetRoomStatus(socket, data));
+      
+      // Host-only lobby management
+      socket.on('kick-player', (data) => this.handleKickPlayer(socket, data));
+      socket.on('transfer-host', (data = {}) => this.handleHostAction(socket, 'transfer-host',
+        (roomCode, host) => roomManager.transferHost(roomCode, host, data.username)));
+      socket.on('lock-room', (data = {}) => this.handleHostAction(socket, 'lock-room',
+        (roomCode, host) => roomManager.setRoomLocked(roomCode, host, data.locked !== false)));
+      socket.on('add-bot', (data = {}) => this.handleHostAction(socket, 'add-bot',
+        (roomCode, username) => roomManager.addBot(roomCode, username, data.strength)));
+      
+      socket.on('update-settings', (data = {}) => this.handleHostAction(socket, 'update-settings',
+        (roomCode, host) => roomManager.updateSettings(roomCode, host, data.settings || data)));
     });
   }
 
-  handleJoinRoom(socket, { username, roomCode, socketId }) {
+  // Identity of the player behind a socket, taken from the verified session token.
+  // Emits auth-error and returns null when the socket is not authenticated, or room-error
+  // when it reached a worker that does not own its room.
+  requireIdentity(socket, event) {
+    const identity = socket.data.player;
+    if (identity) {
+      // In a cluster only the owning worker changes a room, see scaling/sticky.js
+      if (!roomManager.ownsRoom(identity.roomCode)) {
+        logger.logGameEvent('socket_wrong_worker', { socketId: socket.id, event, roomCode: identity.roomCode });
+        socket.emit('room-error', {
+          message: `Connect with the "room=${identity.roomCode}" query parameter to play in this room`,
+          event
+        });
+        return null;
+      }
+      return identity;
+    }
+
+    const authError = socket.data.authError || { code: 'missing_token', message: 'Session token is required' };
+    logger.logGameEvent('socket_auth_rejected', { socketId: socket.id, event, reason: authError.code });
+    socket.emit('auth-error', { ...authError, event });
+    return null;
+  }
+
+  handleJoinRoom(socket) {
+    const identity = this.requireIdentity(socket, 'join-room');
+    if (!identity) return;
+
+    const { username, roomCode } = identity;
+    const socketId = socket.id;
+
     try {
       logger.logGameEvent('socket_join_room', { username, roomCode, socketId });
       
@@ -48,16 +156,26 @@ class GameHandler {
       }
 
       const room = roomManager.getRoom(roomCode);
-      if (room.status !== 'waiting') {
+      const player = room.players.find(p => p.username === username);
+
+      // Players already in a running game may come back after a disconnect
+      if (room.status !== 'waiting' && !player) {
         socket.emit('room-error', { message: 'Game already in progress' });
         return;
       }
 
+      if (!player) {
+        socket.emit('room-error', { message: 'Player is not in this room' });
+        return;
+      }
+
       socket.join(roomCode);
-      room.lastActivity = new Date();
+      playerRegistry.bind(socket.id, username, roomCode);
+      this.clearDisconnectTimer(roomCode, username);
+      roomManager.setPlayerConnected(roomCode, username, true);
       
       // Emit room updated event
-      this.io.to(roomCode).emit('room-updated', room);
+      this.broadcastToRoom(roomCode, 'room-updated', roomManager.serializeRoom(room));
       
       logger.logGameEvent('socket_joined_room', { username, roomCode, socketId });
       
@@ -67,9 +185,96 @@ class GameHandler {
     }
   }
 
-  handleStartGame(socket, { roomCode, customWord }) {
+  // A token in the payload re-authenticates the socket, e.g. after joining a different room
+  handleResume(socket, { token } = {}) {
+    if (token) {
+      // Switching to another seat releases the one this socket held before
+      this.releaseSocket(socket);
+      authenticateSocket(socket, token);
+    }
+
+    const identity = this.requireIdentity(socket, 'resume');
+    if (!identity) return;
+
+    const { username, roomCode } = identity;
+
     try {
-      logger.logGameEvent('start_game_requested', { roomCode, customWord });
+      logger.logGameEvent('resume_requested', { username, roomCode, socketId: socket.id });
+
+      const room = roomManager.getRoom(roomCode);
+      if (!room) {
+        socket.emit('room-error', { message: 'Room not found' });
+        return;
+      }
+
+      const player = room.players.find(p => p.username === username);
+      if (!player) {
+        socket.emit('room-error', { message: 'Player is no longer in this room' });
+        return;
+      }
+
+      socket.join(roomCode);
+      playerRegistry.bind(socket.id, username, roomCode);
+      this.clearDisconnectTimer(roomCode, username);
+      roomManager.setPlayerConnected(roomCode, username, true);
+
+      socket.emit('resume-state', this.buildResumeState(room, player));
+      this.broadcastToRoom(roomCode, 'room-updated', roomManager.serializeRoom(room));
+
+      logger.logGameEvent('player_resumed', { username, roomCode, status: room.status });
+
+    } catch (error) {
+      logger.logError(error, { username, roomCode });
+      socket.emit('room-error', { message: 'Failed to resume session' });
+    }
+  }
+
+  // Everything a client needs to rebuild its board after reconnecting
+  buildResumeState(room, player) {
+    const finished = room.status === 'finished';
+
+    return {
+      room: roomManager.serializeRoom(room, { revealWords: finished }),
+      player: roomManager.serializePlayer(player, { revealWords: true }),
+      opponents: room.players
+        .filter(p => p.username !== player.username)
+        .map(p => ({
+          username: p.username,
+          attemptsUsed: (p.guesses || []).length,
+          feedback: (p.guesses || []).map(g => g.feedback),
+          won: p.won,
+          eliminated: p.eliminated,
+          connected: !!p.connected
+        })),
+      timeRemaining: this.getTimeRemaining(room, player.username),
+      ...(finished && { solutionWord: room.solutionWord })
+    };
+  }
+
+  // Milliseconds left on the game clock and on a player's turn clock (null when untimed)
+  getTimeRemaining(room, username) {
+    const timers = this.roomTimers.get(room.code);
+    if (!timers || room.status !== 'playing') {
+      return { game: null, turn: null };
+    }
+
+    const now = Date.now();
+    const turnDeadline = timers.turnDeadlines.get(username);
+
+    return {
+      game: timers.gameDeadline ? Math.max(0, timers.gameDeadline - now) : null,
+      turn: turnDeadline ? Math.max(0, turnDeadline - now) : null
+    };
+  }
+
+  handleStartGame(socket, { customWord } = {}) {
+    const identity = this.requireIdentity(socket, 'start-game');
+    if (!identity) return;
+
+    const { username, roomCode } = identity;
+
+    try {
+      logger.logGameEvent('start_game_requested', { roomCode, username, customWord });
       
       if (!roomManager.roomExists(roomCode)) {
         socket.emit('game-error', { message: 'Room not found' });
@@ -77,6 +282,12 @@ class GameHandler {
       }
 
       const room = roomManager.getRoom(roomCode);
+
+      // Only the host decides when the game starts and which word is used
+      if (room.hostId !== username) {
+        socket.emit('game-error', { message: 'Only the host can start the game' });
+        return;
+      }
       
       // Validate minimum players for each mode
       if (room.mode === 'duel' && room.players.length < 2) {
@@ -92,14 +303,15 @@ class GameHandler {
       // Validate custom word if provided
       if (customWord && customWord.trim()) {
         const word = customWord.trim().toUpperCase();
-        if (!wordValidator.isValidWord(word)) {
-          socket.emit('game-error', { message: 'Invalid word. Please choose a valid 5-letter word.' });
+        const { wordLength } = room.settings;
+        if (!wordValidator.isValidWord(word, wordLength)) {
+          socket.emit('game-error', { message: `Invalid word. Please choose a valid ${wordLength}-letter word.` });
           return;
         }
       }
 
       // Start the game
-      const updatedRoom = roomManager.startGame(roomCode, customWord);
+      const updatedRoom = roomManager.startGame(roomCode, customWord, username);
       
       logger.logGameEvent('game_started', { 
         roomCode, 
@@ -108,24 +320,48 @@ class GameHandler {
         mode: updatedRoom.mode 
       });
       
-      // Emit game started event
-      this.io.to(roomCode).emit('game-started', { 
-        solutionWord: updatedRoom.solutionWord,
-        status: updatedRoom.status,
-        mode: updatedRoom.mode,
-        players: updatedRoom.players,
-        settings: updatedRoom.settings
-      });
+      this.emitGameStarted(updatedRoom);
       
     } catch (error) {
       logger.logError(error, { roomCode, customWord });
-      socket.emit('game-error', { message: 'Failed to start game' });
+      socket.emit('game-error', { message: error.isOperational ? error.message : 'Failed to start game' });
     }
   }
 
-  handleSubmitGuess(socket, { roomCode, username, guess, boardState, attemptNumber }) {
+  // Emit game started event (the solution stays on the server until game-over)
+  emitGameStarted(room) {
+    this.broadcastToRoom(room.code, 'game-started', { 
+      status: room.status,
+      mode: room.mode,
+      roundNumber: room.roundNumber,
+      players: room.players.map(p => roomManager.serializePlayer(p)),
+      settings: room.settings,
+      series: roomManager.serializeSeries(room)
+    });
+
+    this.startRoomTimers(room);
+    this.scheduleBots(room);
+
+    // Anyone not connected when the game starts gets the usual grace period, or they would hold it up forever
+    room.players
+      .filter(p => !p.isBot && !p.connected)
+      .filter(p => !this.disconnectTimers.has(playerRegistry.playerKey(room.code, p.username)))
+      .forEach(p => this.startDisconnectTimer(room.code, p.username));
+  }
+
+  handleSubmitGuess(socket, { guess } = {}) {
+    if (!socket.data.player && socket.data.spectating) {
+      socket.emit('game-error', { message: 'Spectators cannot submit guesses' });
+      return;
+    }
+
+    const identity = this.requireIdentity(socket, 'submit-guess');
+    if (!identity) return;
+
+    const { username, roomCode } = identity;
+
     try {
-      logger.logGameEvent('guess_submitted', { roomCode, username, guess, attemptNumber });
+      logger.logGameEvent('guess_submitted', { roomCode, username, guess });
       
       if (!roomManager.roomExists(roomCode)) {
         socket.emit('game-error', { message: 'Room not found' });
@@ -133,129 +369,513 @@ class GameHandler {
       }
 
       const room = roomManager.getRoom(roomCode);
-      const player = room.players.find(p => p.username === username);
+
+      // Submit the guess; the server checks and scores it against the private solution
+      let result;
+      try {
+        result = roomManager.submitGuess(roomCode, username, guess);
+      } catch (error) {
+        if (!(error instanceof GuessRejectedError)) throw error;
+
+        logger.logGameEvent('guess_rejected', { roomCode, username, guess, reason: error.reason });
+        socket.emit('guess-rejected', { reason: error.reason, message: error.message, guess });
+        return;
+      }
+
+      // The guesser gets their letters back with the tile feedback
+      socket.emit('guess-result', {
+        guess: result.player.guesses[result.player.guesses.length - 1].word,
+        feedback: result.feedback,
+        attemptNumber: result.attemptNumber,
+        won: !!result.won,
+        eliminated: !!result.eliminated
+      });
+
+      this.publishGuess(room, username, result);
       
-      if (!player || player.eliminated) {
-        return; // Player already eliminated
+    } catch (error) {
+      logger.logError(error, { roomCode, username, guess });
+      socket.emit('game-error', { message: 'Failed to submit guess' });
+    }
+  }
+
+  // Show everyone an accepted guess, then settle the player's game or restart their turn clock
+  publishGuess(room, username, result) {
+    // Everyone else only sees the colour pattern
+    this.broadcastToRoom(room.code, 'guess-submitted', {
+      username,
+      feedback: result.feedback,
+      attemptNumber: result.attemptNumber,
+      players: room.players.map(p => roomManager.serializePlayer(p)),
+      won: !!result.won,
+      eliminated: !!result.eliminated
+    });
+
+    if (result.won || result.eliminated) {
+      this.resolvePlayerOutcome(room, username, result.won ? 'won' : 'eliminated');
+    } else {
+      // A fresh clock for the next guess
+      this.startTurnTimer(room, username);
+    }
+  }
+
+  // Decide what a player winning, running out of attempts or forfeiting means for the game
+  resolvePlayerOutcome(room, username, outcome) {
+    const roomCode = room.code;
+    if (room.status !== 'playing') return;
+
+    // The player is done guessing, so their turn clock stops
+    this.clearTurnTimer(roomCode, username);
+
+    // Spectators get the colours now and the letters once the word is over for everyone
+    const player = room.players.find(p => p.username === username);
+    if (player) {
+      this.io.to(this.getSpectatorChannel(roomCode)).emit('player-finished', {
+        username,
+        outcome,
+        player: roomManager.serializePlayer(player, { revealWords: roomManager.canRevealToSpectators(room, player) })
+      });
+    }
+
+    if (room.mode === 'daily') {
+      // Single player: solving or failing ends the puzzle and posts the result
+      dailyChallenge.recordResult(room, username)
+        .catch(error => logger.logError(error, { roomCode, username, operation: 'record_daily_result' }));
+      logger.logGameEvent('daily_game_over', { roomCode, username, outcome });
+      this.endGame(room, outcome === 'won' ? username : null);
+      return;
+    }
+
+    if (room.mode === 'solo') {
+      // Sprints carry on with a new word until the clock runs out; practice games end here
+      if (room.sprint && outcome !== 'forfeited') {
+        this.advanceSprint(room);
+      } else {
+        this.endGame(room, outcome === 'won' ? username : null);
       }
+      return;
+    }
 
-      // Validate guess
-      if (!wordValidator.isValidWordFormat(guess)) {
-        socket.emit('game-error', { message: 'Invalid guess format' });
+    if (room.mode === 'duel') {
+      if (outcome === 'won') {
+        // Duel mode: game ends immediately
+        logger.logGameEvent('duel_game_over', { roomCode, winner: username });
+        this.endGame(room, username);
         return;
       }
 
-      // Submit the guess
-      const result = roomManager.submitGuess(roomCode, username, guess, attemptNumber);
-      
-      if (result.won) {
-        // Player won
-        if (room.mode === 'duel') {
-          // Duel mode: game ends immediately
-          room.status = 'finished';
-          logger.logGameEvent('duel_game_over', { roomCode, winner: username });
-          
-          this.io.to(roomCode).emit('game-over', {
-            winner: username,
-            solutionWord: room.solutionWord,
-            status: room.status,
-            mode: room.mode,
-            players: room.players
-          });
-        } else {
-          // Battle Royale mode: player is eliminated, others continue
-          logger.logGameEvent('player_won_battle_royale', { roomCode, username });
-          
-          // Check if only one player remains
-          const activePlayers = room.players.filter(p => !p.eliminated);
-          if (activePlayers.length === 1) {
-            // Last player standing
-            const winner = activePlayers[0];
-            room.status = 'finished';
-            logger.logGameEvent('battle_royale_game_over', { roomCode, winner: winner.username });
-            
-            this.io.to(roomCode).emit('game-over', {
-              winner: winner.username,
-              solutionWord: room.solutionWord,
-              status: room.status,
-              mode: room.mode,
-              players: room.players
-            });
-          } else {
-            // Continue game, emit updated player state
-            this.io.to(roomCode).emit('player-eliminated', {
-              eliminatedPlayer: username,
-              remainingPlayers: activePlayers.length,
-              players: room.players
-            });
-          }
-        }
-      } else if (result.eliminated) {
-        // Player is out of attempts
-        if (room.mode === 'duel') {
-          // Check if both players failed
-          const otherPlayer = room.players.find(p => p.username !== username);
-          if (otherPlayer && otherPlayer.guesses && otherPlayer.guesses.length >= config.MAX_GUESSES) {
-            // Both players failed - it's a draw
-            room.status = 'finished';
-            logger.logGameEvent('duel_game_over_draw', { roomCode });
-            
-            this.io.to(roomCode).emit('game-over', {
-              winner: null, // null indicates draw
-              solutionWord: room.solutionWord,
-              status: room.status,
-              mode: room.mode,
-              players: room.players
-            });
-          }
-        } else {
-          // Battle Royale mode: check if game should end
-          const activePlayers = room.players.filter(p => !p.eliminated);
-          if (activePlayers.length === 1) {
-            // Last player standing
-            const winner = activePlayers[0];
-            room.status = 'finished';
-            logger.logGameEvent('battle_royale_game_over_last_standing', { roomCode, winner: winner.username });
-            
-            this.io.to(roomCode).emit('game-over', {
-              winner: winner.username,
-              solutionWord: room.solutionWord,
-              status: room.status,
-              mode: room.mode,
-              players: room.players
-            });
-          } else {
-            // Continue game
-            this.io.to(roomCode).emit('player-eliminated', {
-              eliminatedPlayer: username,
-              remainingPlayers: activePlayers.length,
-              players: room.players
-            });
-          }
-        }
+      const otherPlayer = room.players.find(p => p.username !== username);
+      if (!otherPlayer || otherPlayer.eliminated) {
+        // Both players failed - it's a draw (null winner)
+        logger.logGameEvent('duel_game_over_draw', { roomCode });
+        this.endGame(room, null);
+      } else if (outcome === 'forfeited') {
+        // Opponent never came back, the remaining player takes the duel
+        logger.logGameEvent('duel_game_over_forfeit', { roomCode, winner: otherPlayer.username });
+        this.endGame(room, otherPlayer.username);
+      }
+      return;
+    }
+
+    // Battle Royale mode: nothing happens until everyone still in has solved or failed this word
+    logger.logGameEvent('battle_royale_player_finished', { roomCode, username, outcome, roundNumber: room.roundNumber });
+
+    if (roomManager.isRoundComplete(room)) {
+      this.completeRound(room);
+    }
+  }
+
+  // Broadcast the round standings, knock players out and either crown a winner or start the next word
+  completeRound(room) {
+    const roomCode = room.code;
+    const result = roomManager.completeRound(roomCode);
+
+    this.broadcastToRoom(roomCode, 'round-over', {
+      roundNumber: result.roundNumber,
+      standings: result.standings,
+      knockedOut: result.knockedOut,
+      survivors: result.survivors,
+      players: room.players.map(p => roomManager.serializePlayer(p))
+    });
+
+    result.knockedOut.forEach(eliminatedPlayer => {
+      this.broadcastToRoom(roomCode, 'player-eliminated', {
+        eliminatedPlayer,
+        reason: 'knocked_out',
+        roundNumber: result.roundNumber,
+        remainingPlayers: result.survivors.length,
+        players: room.players.map(p => roomManager.serializePlayer(p))
+      });
+    });
+
+    // The word is over for everyone, so spectators can now see the solvers' letters too
+    this.io.to(this.getSpectatorChannel(roomCode)).emit('spectate-state', {
+      room: roomManager.serializeRoom(room, { forSpectators: true }),
+      timeRemaining: this.getTimeRemaining(room, null).game
+    });
+
+    if (result.survivors.length <= 1) {
+      // Last player standing (or nobody, if the rest forfeited)
+      logger.logGameEvent('battle_royale_game_over', { roomCode, winner: result.winner, rounds: result.roundNumber });
+      this.endGame(room, result.winner);
+      return;
+    }
+
+    // Short pause so clients can show the standings before the next word
+    const roundNumber = room.roundNumber;
+    setTimeout(() => this.startNextRound(roomCode, roundNumber), config.ROUND_INTERMISSION_MS);
+  }
+
+  // Start the next battle royale round, unless the game moved on in the meantime
+  startNextRound(roomCode, previousRound) {
+    try {
+      const room = roomManager.getRoom(roomCode);
+      if (!room || room.status !== 'playing' || room.roundNumber !== previousRound) return;
+
+      roomManager.startNextRound(roomCode);
+
+      this.broadcastToRoom(roomCode, 'round-started', {
+        roundNumber: room.roundNumber,
+        survivors: room.players.filter(p => !p.knockedOut).map(p => p.username),
+        players: room.players.map(p => roomManager.serializePlayer(p))
+      });
+
+      // The game clock keeps running; everyone still in gets a fresh turn clock
+      room.players.forEach(p => this.startTurnTimer(room, p.username));
+      this.scheduleBots(room);
+    } catch (error) {
+      logger.logError(error, { roomCode });
+    }
+  }
+
+  // Solo sprint: report the word just finished and hand out the next one
+  advanceSprint(room) {
+    const roomCode = room.code;
+    const result = roomManager.advanceSprint(roomCode);
+
+    this.broadcastToRoom(roomCode, 'sprint-progress', {
+      solved: result.solved,
+      solutionWord: result.solutionWord,
+      points: result.points,
+      wordsSolved: result.sprint.wordsSolved,
+      wordsFailed: result.sprint.wordsFailed,
+      score: room.players[0].score
+    });
+
+    this.broadcastToRoom(roomCode, 'round-started', {
+      roundNumber: room.roundNumber,
+      survivors: room.players.map(p => p.username),
+      players: room.players.map(p => roomManager.serializePlayer(p))
+    });
+
+    room.players.forEach(p => this.startTurnTimer(room, p.username));
+  }
+
+  // Finish the game and reveal the solution and every player's letters
+  endGame(room, winner) {
+    this.clearRoomTimers(room.code);
+    this.clearBotTimers(room.code);
+    roomManager.finishGame(room.code, winner);
+
+    if (room.mode === 'solo') {
+      soloStats.recordGame(room);
+    }
+    playerStats.recordGame(room, winner);
+    this.rateDuel(room, winner);
+
+    const series = roomManager.serializeSeries(room);
+
+    this.broadcastToRoom(room.code, 'game-over', {
+      winner, // null indicates draw
+      solutionWord: room.solutionWord,
+      status: room.status,
+      mode: room.mode,
+      roundNumber: room.roundNumber,
+      players: room.players.map(p => roomManager.serializePlayer(p, { revealWords: true })),
+      scoreboard: room.scoreboard,
+      ...(room.sprint && { sprint: room.sprint }),
+      series
+    });
+
+    if (series.completed) {
+      logger.logGameEvent('series_over', { roomCode: room.code, winner: series.winner, gamesPlayed: series.gamesPlayed });
+
+      this.broadcastToRoom(room.code, 'series-over', {
+        winner: series.winner, // null indicates a tied series
+        bestOf: series.bestOf,
+        gamesPlayed: series.gamesPlayed,
+        standings: series.standings
+      });
+    }
+  }
+
+  // Spectators of a room share a channel next to the players' one
+  getSpectatorChannel(roomCode) {
+    return `${roomCode}:spectators`;
+  }
+
+  // Start watching a room: live colour patterns, and each player's letters once they finish
+  handleSpectateRoom(socket, { roomCode } = {}) {
+    try {
+      const code = typeof roomCode === 'string' ? roomCode.trim().toUpperCase() : '';
+      const room = roomManager.getRoom(code);
+      if (!room) {
+        socket.emit('room-error', { message: 'Room not found' });
+        return;
+      }
+
+      const identity = socket.data.player;
+      if (identity && identity.roomCode === code && room.players.some(p => p.username === identity.username)) {
+        socket.emit('room-error', { message: 'You are playing in this room' });
+        return;
+      }
+
+      // Watching is recorded on the room, so it has to happen on the room's worker
+      if (!roomManager.ownsRoom(code)) {
+        socket.emit('room-error', { message: `Connect with the "room=${code}" query parameter to watch this room` });
+        return;
+      }
+
+      if (socket.data.spectating !== code) {
+        this.handleStopSpectating(socket);
+      }
+
+      roomManager.addSpectator(code, socket.id);
+      socket.join(this.getSpectatorChannel(code));
+      socket.data.spectating = code;
+
+      logger.logGameEvent('spectator_joined', { roomCode: code, socketId: socket.id });
+
+      socket.emit('spectate-state', {
+        room: roomManager.serializeRoom(room, { forSpectators: true }),
+        timeRemaining: this.getTimeRemaining(room, null).game,
+        ...(room.status === 'finished' && { solutionWord: room.solutionWord })
+      });
+      this.broadcastToRoom(code, 'room-updated', roomManager.serializeRoom(room));
+
+    } catch (error) {
+      logger.logError(error, { roomCode, socketId: socket.id });
+      socket.emit('room-error', { message: error.message });
+    }
+  }
+
+  // Stop watching whatever room this socket is spectating
+  handleStopSpectating(socket) {
+    const roomCode = socket.data.spectating;
+    if (!roomCode) return;
+
+    socket.leave(this.getSpectatorChannel(roomCode));
+    socket.data.spectating = null;
+
+    const room = roomManager.removeSpectator(roomCode, socket.id);
+    if (room) {
+      this.broadcastToRoom(roomCode, 'room-updated', roomManager.serializeRoom(room));
+    }
+
+    logger.logGameEvent('spectator_left', { roomCode, socketId: socket.id });
+  }
+
+  // Lobby subscribers join one channel per mode filter: lobby:all, lobby:duel, lobby:battleRoyale
+  getLobbyChannels() {
+    return ['all', 'duel', 'battleRoyale'];
+  }
+
+  // Start receiving lobby-updated, optionally only for one mode
+  handleLobbySubscribe(socket, { mode = 'all' } = {}) {
+    if (!this.getLobbyChannels().includes(mode)) {
+      socket.emit('room-error', { message: 'Lobby mode must be "all", "duel" or "battleRoyale"' });
+      return;
+    }
+
+    this.handleLobbyUnsubscribe(socket);
+    socket.join(`lobby:${mode}`);
+
+    logger.logGameEvent('lobby_subscribed', { socketId: socket.id, mode });
+
+    // Send the current list straight away rather than waiting for the next change
+    socket.emit('lobby-updated', {
+      mode,
+      ...roomManager.getLobbyRooms({ mode: mode === 'all' ? null : mode })
+    });
+  }
+
+  handleLobbyUnsubscribe(socket) {
+    this.getLobbyChannels().forEach(mode => socket.leave(`lobby:${mode}`));
+  }
+
+  // Only changes to rooms that are, or just were, in the lobby matter to subscribers
+  handleLobbyRoomChanged(room) {
+    const listed = roomManager.isListed(room);
+    const wasListed = this.listedRooms.has(room.code);
+
+    if (listed) {
+      this.listedRooms.add(room.code);
+    } else {
+      this.listedRooms.delete(room.code);
+    }
+
+    if (listed || wasListed) {
+      this.scheduleLobbyBroadcast();
+    }
+  }
+
+  // Batch lobby changes: one lobby-updated per channel per LOBBY_BROADCAST_DEBOUNCE_MS
+  scheduleLobbyBroadcast() {
+    if (this.lobbyTimer) return;
+
+    this.lobbyTimer = setTimeout(() => {
+      this.lobbyTimer = null;
+      this.getLobbyChannels().forEach(mode => {
+        this.io.to(`lobby:${mode}`).emit('lobby-updated', {
+          mode,
+          ...roomManager.getLobbyRooms({ mode: mode === 'all' ? null : mode })
+        });
+      });
+    }, config.LOBBY_BROADCAST_DEBOUNCE_MS);
+  }
+
+  // Who is queueing: registered players send their access token, guests a username
+  async resolveQueueUsername({ accessToken, username } = {}) {
+    if (accessToken) {
+      try {
+        return verifyAccessToken(accessToken).username;
+      } catch (error) {
+        throw new AuthenticationError(error.name === 'TokenExpiredError' ? 'Access token expired' : 'Invalid access token');
+      }
+    }
+
+    const name = typeof username === 'string' ? username.trim() : '';
+    if (name.length < config.MIN_USERNAME_LENGTH || name.length > config.MAX_USERNAME_LENGTH || !/^[a-zA-Z0-9_-]+$/.test(name)) {
+      throw new ValidationError(`Username must be ${config.MIN_USERNAME_LENGTH}-${config.MAX_USERNAME_LENGTH} letters, numbers, underscores or hyphens`);
+    }
+    return accounts.resolveUsername(null, name);
+  }
+
+  // Wait in the quick play queue for a mode
+  async handleQueueJoin(socket, data = {}) {
+    try {
+      // In a cluster each mode's queue lives on one worker, picked by the `queue` query parameter
+      const mode = data.mode || 'duel';
+      if (matchmaker.getModes().includes(mode) && !isLocalStickyKey(`queue:${mode}`)) {
+        throw new ValidationError(`Connect with the "queue=${mode}" query parameter to use quick play`);
       }
 
-      // Emit guess submitted event with updated players
-      this.io.to(roomCode).emit('guess-submitted', {
+      const username = await this.resolveQueueUsername(data);
+      const { rating } = await ratings.load(username);
+
+      // The socket may have gone while the rating loaded; don't leave a ghost in the queue
+      if (!socket.connected) return;
+
+      const entry = matchmaker.join(socket.id, { username, mode, rating });
+
+      socket.emit('queue-joined', {
         username,
-        guess,
-        attemptNumber: result.player.guesses.length,
-        players: room.players,
-        won: result.won,
-        eliminated: result.eliminated
+        mode: entry.mode,
+        rating,
+        waiting: matchmaker.getQueueSize(entry.mode)
       });
-      
+
+      matchmaker.matchPlayers(entry.mode);
     } catch (error) {
-      logger.logError(error, { roomCode, username, guess, attemptNumber });
-      socket.emit('game-error', { message: 'Failed to submit guess' });
+      logger.logError(error, { socketId: socket.id, mode: data.mode });
+      socket.emit('queue-error', { message: error.message });
     }
   }
 
-  handleLeaveRoom(socket, { roomCode, username }) {
+  handleQueueLeave(socket) {
+    const entry = matchmaker.leave(socket.id);
+    socket.emit('queue-left', { mode: entry ? entry.mode : null });
+  }
+
+  // Seat every matched player: give them a session token for the new room and join them to it
+  handleMatchFound(room, entries) {
+    entries.forEach(entry => {
+      const socket = this.io.sockets.sockets.get(entry.socketId);
+      if (!socket) return;
+
+      const token = issueSessionToken(entry.username, room.code);
+
+      // A socket that was still seated elsewhere gives that seat up
+      this.releaseSocket(socket);
+      authenticateSocket(socket, token);
+
+      socket.emit('match-found', {
+        roomCode: room.code,
+        mode: room.mode,
+        token,
+        players: room.players.map(p => roomManager.serializePlayer(p))
+      });
+
+      this.handleJoinRoom(socket);
+    });
+  }
+
+  // Update both players' ratings after a duel and tell the room the new numbers
+  rateDuel(room, winner) {
+    ratings.recordDuel(room, winner)
+      .then(changes => {
+        if (!changes) return;
+
+        roomManager.applyRatingChanges(room.code, changes);
+        this.broadcastToRoom(room.code, 'rating-updated', { changes });
+      })
+      .catch(error => logger.logError(error, { roomCode: room.code, operation: 'rate_duel' }));
+  }
+
+  // The host starts a rematch straight away; anyone else casts a vote and a majority starts it
+  handleRematch(socket) {
+    const identity = this.requireIdentity(socket, 'rematch');
+    if (!identity) return;
+
+    const { username, roomCode } = identity;
+
+    try {
+      logger.logGameEvent('rematch_requested', { roomCode, username });
+
+      const room = roomManager.getRoom(roomCode);
+      if (!room) {
+        socket.emit('game-error', { message: 'Room not found' });
+        return;
+      }
+
+      if (room.hostId !== username) {
+        const tally = roomManager.voteRematch(roomCode, username);
+        this.broadcastToRoom(roomCode, 'rematch-vote', { username, votes: tally.votes, needed: tally.needed });
+        if (!tally.passed) return;
+      }
+
+      this.emitGameStarted(roomManager.startRematch(roomCode));
+
+    } catch (error) {
+      logger.logError(error, { roomCode, username });
+      socket.emit('game-error', { message: error.isOperational ? error.message : 'Failed to start rematch' });
+
+      // Absent players may have been dropped before the rematch was refused
+      const room = roomManager.getRoom(roomCode);
+      if (room) {
+        this.broadcastToRoom(roomCode, 'room-updated', roomManager.serializeRoom(room));
+      }
+    }
+  }
+
+  handleLeaveRoom(socket) {
+    const identity = this.requireIdentity(socket, 'leave-room');
+    if (!identity) return;
+
+    const { username, roomCode } = identity;
+
     try {
       logger.logGameEvent('player_leaving_room', { roomCode, username });
       
       if (roomManager.roomExists(roomCode)) {
+        this.clearDisconnectTimer(roomCode, username);
+        playerRegistry.unbindPlayer(roomCode, username);
+
+        // Leaving mid-game counts as a forfeit before the player is dropped
+        if (roomManager.forfeitPlayer(roomCode, username)) {
+          this.resolvePlayerOutcome(roomManager.getRoom(roomCode), username, 'forfeited');
+        }
+
         const removed = roomManager.removePlayerFromRoom(roomCode, username);
         if (removed) {
           socket.leave(roomCode);
@@ -263,7 +883,7 @@ class GameHandler {
           const room = roomManager.getRoom(roomCode);
           if (room) {
             // Emit room updated event
-            this.io.to(roomCode).emit('room-updated', room);
+            this.broadcastToRoom(roomCode, 'room-updated', roomManager.serializeRoom(room));
           }
           
           logger.logGameEvent('player_left_room', { roomCode, username });
@@ -275,7 +895,66 @@ class GameHandler {
     }
   }
 
-  handleGetRoomStatus(socket, { roomCode }) {
+  // Run a host-only room change and broadcast the new room state
+  handleHostAction(socket, event, action) {
+    const identity = this.requireIdentity(socket, event);
+    if (!identity) return;
+
+    const { username, roomCode } = identity;
+
+    try {
+      logger.logGameEvent('host_action_requested', { roomCode, username, action: event });
+
+      const room = action(roomCode, username);
+      this.broadcastToRoom(roomCode, 'room-updated', roomManager.serializeRoom(room));
+
+    } catch (error) {
+      logger.logError(error, { roomCode, username, event });
+      socket.emit('room-error', { message: error.isOperational ? error.message : 'Failed to update room', event });
+    }
+  }
+
+  handleKickPlayer(socket, { username: targetUsername } = {}) {
+    const identity = this.requireIdentity(socket, 'kick-player');
+    if (!identity) return;
+
+    const { username, roomCode } = identity;
+
+    try {
+      logger.logGameEvent('kick_player_requested', { roomCode, username, targetUsername });
+
+      const { room, forfeited } = roomManager.kickPlayer(roomCode, username, targetUsername);
+
+      // Detach the kicked player's socket from the room
+      this.clearDisconnectTimer(roomCode, targetUsername);
+      const targetSocketId = playerRegistry.getSocketId(roomCode, targetUsername);
+      playerRegistry.unbindPlayer(roomCode, targetUsername);
+      if (targetSocketId) {
+        const targetSocket = this.io.sockets.sockets.get(targetSocketId);
+        if (targetSocket) {
+          targetSocket.leave(roomCode);
+          targetSocket.emit('kicked', { roomCode, by: username });
+        }
+      }
+
+      if (forfeited) {
+        this.resolvePlayerOutcome(room, targetUsername, 'forfeited');
+      }
+
+      this.broadcastToRoom(roomCode, 'room-updated', roomManager.serializeRoom(room));
+
+    } catch (error) {
+      logger.logError(error, { roomCode, username, targetUsername });
+      socket.emit('room-error', { message: error.isOperational ? error.message : 'Failed to kick player', event: 'kick-player' });
+    }
+  }
+
+  handleGetRoomStatus(socket) {
+    const identity = this.requireIdentity(socket, 'get-room-status');
+    if (!identity) return;
+
+    const { roomCode } = identity;
+
     try {
       if (!roomManager.roomExists(roomCode)) {
         socket.emit('room-error', { message: 'Room not found' });
@@ -310,24 +989,346 @@ class GameHandler {
 
   handleDisconnect(socket) {
     logger.logGameEvent('socket_disconnected', { socketId: socket.id });
-    
-    // Find all rooms this socket is in and remove the player
-    const rooms = Array.from(socket.rooms);
-    rooms.forEach(roomCode => {
-      if (roomCode !== socket.id) { // socket.id is always in socket.rooms
-        // Note: We can't determine which username this socket was associated with
-        // In a production app, you'd want to maintain a socket-to-user mapping
-        logger.logGameEvent('socket_disconnected_from_room', { 
-          socketId: socket.id, 
-          roomCode 
-        });
+    matchmaker.leave(socket.id);
+    this.handleStopSpectating(socket);
+    this.releaseSocket(socket);
+  }
+
+  // Detach a socket from its player and start their grace period
+  releaseSocket(socket) {
+    const binding = playerRegistry.unbind(socket.id);
+    if (!binding) return;
+
+    const { roomCode, username } = binding;
+    socket.leave(roomCode);
+
+    // A newer socket may already have taken over for this player
+    if (playerRegistry.isConnected(roomCode, username)) return;
+
+    const room = roomManager.getRoom(roomCode);
+    if (!room || !roomManager.setPlayerConnected(roomCode, username, false)) return;
+
+    logger.logGameEvent('socket_disconnected_from_room', { 
+      socketId: socket.id, 
+      roomCode,
+      username,
+      graceMs: config.DISCONNECT_GRACE_MS
+    });
+
+    this.broadcastToRoom(roomCode, 'room-updated', roomManager.serializeRoom(room));
+    this.startDisconnectTimer(roomCode, username);
+  }
+
+  // Pick a restored room back up: players get the usual grace period to reconnect
+  resumeRestoredRoom(room) {
+    room.players
+      .filter(p => !p.isBot)
+      .forEach(p => this.startDisconnectTimer(room.code, p.username));
+
+    if (room.status === 'playing') {
+      this.startRoomTimers(room);
+      this.scheduleBots(room);
+    }
+
+    logger.logGameEvent('room_resumed', { roomCode: room.code, status: room.status });
+  }
+
+  // Give a disconnected player a grace period to come back before dropping them
+  startDisconnectTimer(roomCode, username) {
+    this.clearDisconnectTimer(roomCode, username);
+
+    const timer = setTimeout(() => {
+      this.disconnectTimers.delete(playerRegistry.playerKey(roomCode, username));
+      this.handleDisconnectTimeout(roomCode, username);
+    }, config.DISCONNECT_GRACE_MS);
+
+    this.disconnectTimers.set(playerRegistry.playerKey(roomCode, username), timer);
+  }
+
+  // Cancel a pending grace timer, e.g. when the player rejoins
+  clearDisconnectTimer(roomCode, username) {
+    const key = playerRegistry.playerKey(roomCode, username);
+    const timer = this.disconnectTimers.get(key);
+    if (timer) {
+      clearTimeout(timer);
+      this.disconnectTimers.delete(key);
+    }
+  }
+
+  // The player did not return in time: forfeit a running game, otherwise leave the room
+  handleDisconnectTimeout(roomCode, username) {
+    try {
+      const room = roomManager.getRoom(roomCode);
+      if (!room) return;
+
+      const player = room.players.find(p => p.username === username);
+      if (!player || player.connected) return;
+
+      logger.logGameEvent('disconnect_grace_expired', { roomCode, username, status: room.status });
+
+      if (room.status === 'playing') {
+        if (roomManager.forfeitPlayer(roomCode, username)) {
+          this.resolvePlayerOutcome(room, username, 'forfeited');
+        }
+      } else {
+        roomManager.removePlayerFromRoom(roomCode, username);
       }
+
+      const updatedRoom = roomManager.getRoom(roomCode);
+      if (updatedRoom) {
+        this.broadcastToRoom(roomCode, 'room-updated', roomManager.serializeRoom(updatedRoom));
+      }
+    } catch (error) {
+      logger.logError(error, { roomCode, username });
+    }
+  }
+
+  // Start the game clock, a turn clock for every player and the tick broadcast
+  startRoomTimers(room) {
+    this.clearRoomTimers(room.code);
+
+    // A sprint's length is its game clock
+    const { turnTimeLimit } = room.settings;
+    const gameTimeLimit = room.settings.sprintDuration || room.settings.gameTimeLimit;
+    if (!turnTimeLimit && !gameTimeLimit) return;
+
+    const timers = {
+      gameTimeout: null,
+      gameDeadline: null,
+      turnTimeouts: new Map(), // username -> timeout
+      turnDeadlines: new Map(), // username -> epoch ms
+      tickInterval: null
+    };
+    this.roomTimers.set(room.code, timers);
+
+    if (gameTimeLimit) {
+      const startedAt = room.gameStartTime ? new Date(room.gameStartTime).getTime() : Date.now();
+      timers.gameDeadline = startedAt + gameTimeLimit * 1000;
+      timers.gameTimeout = setTimeout(
+        () => this.handleGameTimeout(room.code),
+        Math.max(0, timers.gameDeadline - Date.now())
+      );
+    }
+
+    if (turnTimeLimit) {
+      room.players.forEach(p => this.startTurnTimer(room, p.username));
+    }
+
+    timers.tickInterval = setInterval(() => this.emitTimerTick(room.code), config.TIMER_TICK_INTERVAL_MS);
+
+    logger.logGameEvent('timers_started', { roomCode: room.code, turnTimeLimit, gameTimeLimit });
+  }
+
+  // (Re)start a player's clock for their next guess
+  startTurnTimer(room, username) {
+    const timers = this.roomTimers.get(room.code);
+    if (!timers || !room.settings.turnTimeLimit) return;
+
+    this.clearTurnTimer(room.code, username);
+
+    const player = room.players.find(p => p.username === username);
+    if (!player || player.eliminated || player.won) return;
+
+    const limitMs = room.settings.turnTimeLimit * 1000;
+    timers.turnDeadlines.set(username, Date.now() + limitMs);
+    timers.turnTimeouts.set(username, setTimeout(() => this.handleTurnTimeout(room.code, username), limitMs));
+  }
+
+  // Stop a player's clock, e.g. once they have won or been knocked out
+  clearTurnTimer(roomCode, username) {
+    const timers = this.roomTimers.get(roomCode);
+    if (!timers) return;
+
+    clearTimeout(timers.turnTimeouts.get(username));
+    timers.turnTimeouts.delete(username);
+    timers.turnDeadlines.delete(username);
+  }
+
+  // Stop every clock in a room
+  clearRoomTimers(roomCode) {
+    const timers = this.roomTimers.get(roomCode);
+    if (!timers) return;
+
+    clearTimeout(timers.gameTimeout);
+    clearInterval(timers.tickInterval);
+    timers.turnTimeouts.forEach(timeout => clearTimeout(timeout));
+    this.roomTimers.delete(roomCode);
+  }
+
+  // Let clients render countdowns from the server's clocks
+  emitTimerTick(roomCode) {
+    const room = roomManager.getRoom(roomCode);
+    const timers = this.roomTimers.get(roomCode);
+    if (!room || !timers) return;
+
+    const now = Date.now();
+    const turnTimeRemaining = {};
+    timers.turnDeadlines.forEach((deadline, username) => {
+      turnTimeRemaining[username] = Math.max(0, deadline - now);
     });
+
+    this.broadcastToRoom(roomCode, 'timer-tick', {
+      gameTimeRemaining: timers.gameDeadline ? Math.max(0, timers.gameDeadline - now) : null,
+      turnTimeRemaining
+    });
+  }
+
+  // A player let their turn clock run out: burn the attempt or knock them out, per the room setting
+  handleTurnTimeout(roomCode, username) {
+    try {
+      const timers = this.roomTimers.get(roomCode);
+      if (timers) {
+        timers.turnTimeouts.delete(username);
+        timers.turnDeadlines.delete(username);
+      }
+
+      const room = roomManager.getRoom(roomCode);
+      if (!room || room.status !== 'playing') return;
+
+      const action = room.settings.timeoutAction;
+      logger.logGameEvent('turn_time_expired', { roomCode, username, action });
+
+      let eliminated;
+      if (action === 'eliminate') {
+        eliminated = !!roomManager.eliminatePlayer(roomCode, username, 'timed_out');
+      } else {
+        const result = roomManager.forfeitAttempt(roomCode, username);
+        if (!result) return;
+        eliminated = !!result.eliminated;
+      }
+
+      this.broadcastToRoom(roomCode, 'time-expired', {
+        scope: 'turn',
+        username,
+        action,
+        eliminated,
+        players: room.players.map(p => roomManager.serializePlayer(p))
+      });
+
+      if (eliminated) {
+        this.resolvePlayerOutcome(room, username, 'timed_out');
+      } else {
+        this.startTurnTimer(room, username);
+      }
+    } catch (error) {
+      logger.logError(error, { roomCode, username });
+    }
+  }
+
+  // The game clock ran out: everyone still guessing is knocked out
+  handleGameTimeout(roomCode) {
+    try {
+      const room = roomManager.getRoom(roomCode);
+      if (!room || room.status !== 'playing') return;
+
+      logger.logGameEvent('game_time_expired', { roomCode });
+
+      const unfinished = room.players.filter(p => !p.eliminated && !p.won);
+      unfinished.forEach(p => roomManager.eliminatePlayer(roomCode, p.username, 'timed_out'));
+
+      this.broadcastToRoom(roomCode, 'time-expired', {
+        scope: 'game',
+        eliminatedPlayers: unfinished.map(p => p.username),
+        players: room.players.map(p => roomManager.serializePlayer(p))
+      });
+
+      // A sprint is a personal best attempt: it counts as a win if any word was solved
+      if (room.status === 'playing' && room.sprint) {
+        const player = room.players[0];
+        this.endGame(room, room.sprint.wordsSolved > 0 ? player.username : null);
+        return;
+      }
+
+      // Whoever already solved it in the fewest attempts takes the game, otherwise it's a draw
+      if (room.status === 'playing') {
+        const solvedAt = p => new Date(p.guesses[p.guesses.length - 1].timestamp).getTime();
+        const solvers = room.players
+          .filter(p => p.won)
+          .sort((a, b) => a.guesses.length - b.guesses.length || solvedAt(a) - solvedAt(b));
+        this.endGame(room, solvers.length > 0 ? solvers[0].username : null);
+      }
+    } catch (error) {
+      logger.logError(error, { roomCode });
+    }
+  }
+
+  // Queue the first guess of every bot still playing the current word
+  scheduleBots(room) {
+    room.players
+      .filter(p => p.isBot && !p.eliminated && !p.won)
+      .forEach(bot => this.scheduleBotGuess(room, bot.username));
+  }
+
+  // Let a bot "think" for a moment, then guess
+  scheduleBotGuess(room, username) {
+    const bot = room.players.find(p => p.username === username);
+    if (!bot) return;
+
+    // Tie the guess to the current word, so a stale timer can't guess in a later round
+    const roundNumber = room.roundNumber;
+    const timer = setTimeout(() => {
+      const timers = this.botTimers.get(room.code);
+      if (timers) timers.delete(timer);
+      this.handleBotTurn(room.code, username, roundNumber);
+    }, botPlayer.getThinkTime(bot.botStrength, room.settings.turnTimeLimit));
+
+    if (!this.botTimers.has(room.code)) {
+      this.botTimers.set(room.code, new Set());
+    }
+    this.botTimers.get(room.code).add(timer);
+  }
+
+  // Cancel every pending bot guess in a room
+  clearBotTimers(roomCode) {
+    const timers = this.botTimers.get(roomCode);
+    if (!timers) return;
+
+    timers.forEach(timer => clearTimeout(timer));
+    this.botTimers.delete(roomCode);
+  }
+
+  // A bot makes its guess through the same path as a human player
+  handleBotTurn(roomCode, username, roundNumber) {
+    try {
+      const room = roomManager.getRoom(roomCode);
+      if (!room || room.status !== 'playing' || room.roundNumber !== roundNumber) return;
+
+      const bot = room.players.find(p => p.username === username);
+      if (!bot || bot.eliminated || bot.won) return;
+
+      const guess = botPlayer.chooseGuess(bot.guesses, {
+        strength: bot.botStrength,
+        length: room.settings.wordLength,
+        hardMode: room.settings.hardMode
+      });
+
+      let result;
+      try {
+        result = roomManager.submitGuess(roomCode, username, guess);
+      } catch (error) {
+        if (!(error instanceof GuessRejectedError)) throw error;
+
+        // Shouldn't happen, but a stuck bot would stall the game, so just try again
+        logger.logGameEvent('bot_guess_rejected', { roomCode, username, guess, reason: error.reason });
+        this.scheduleBotGuess(room, username);
+        return;
+      }
+
+      logger.logGameEvent('bot_guess_submitted', { roomCode, username, attempt: result.attemptNumber });
+
+      this.publishGuess(room, username, result);
+
+      if (result.continue && room.status === 'playing') {
+        this.scheduleBotGuess(room, username);
+      }
+    } catch (error) {
+      logger.logError(error, { roomCode, username });
+    }
   }
 
   // Broadcast to all clients in a room
   broadcastToRoom(roomCode, event, data) {
-    this.io.to(roomCode).emit(event, data);
+    this.io.to(roomCode).to(this.getSpectatorChannel(roomCode)).emit(event, data);
   }
 
   // Broadcast to all clients
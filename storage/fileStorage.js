@@ -0,0 +1,153 @@
+const fs = require('fs').promises;
+const path = require('path');
+const StorageAdapter = require('./storageAdapter');
+
+// Stores each room, player and daily attempt as a JSON file and appends finished games to games.jsonl:
+//   <dir>/rooms/<CODE>.json
+//   <dir>/players/<username>.json
+//   <dir>/daily/<YYYY-MM-DD>/<username>.json
+//   <dir>/games.jsonl
+class FileStorage extends StorageAdapter {
+  constructor(dir) {
+    super();
+    this.dir = dir;
+    this.roomsDir = path.join(dir, 'rooms');
+    this.playersDir = path.join(dir, 'players');
+    this.dailyDir = path.join(dir, 'daily');
+    this.gamesFile = path.join(dir, 'games.jsonl');
+    this.writes = new Map(); // file -> last queued write, so writes to one file never overlap
+  }
+
+  async init() {
+    await fs.mkdir(this.roomsDir, { recursive: true });
+    await fs.mkdir(this.playersDir, { recursive: true });
+    await fs.mkdir(this.dailyDir, { recursive: true });
+  }
+
+  // Run file operations one after another per file
+  queue(file, operation) {
+    const previous = this.writes.get(file) || Promise.resolve();
+    const next = previous.catch(() => {}).then(operation);
+    this.writes.set(file, next);
+    next.finally(() => {
+      if (this.writes.get(file) === next) this.writes.delete(file);
+    }).catch(() => {});
+    return next;
+  }
+
+  // Write to a temp file and rename it, so a crash never leaves half a file behind.
+  // The temp name is per process, as cluster workers can write the same file.
+  writeJson(file, data) {
+    return this.queue(file, async () => {
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fs.writeFile(tmp, JSON.stringify(data));
+      await fs.rename(tmp, file);
+    });
+  }
+
+  // Parse a JSON file, or null if it is missing or unreadable
+  async readJson(file) {
+    try {
+      return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT' || error instanceof SyntaxError) return null;
+      throw error;
+    }
+  }
+
+  // Keep usernames and room codes from escaping the storage directory
+  fileName(key) {
+    return `${encodeURIComponent(key)}.json`;
+  }
+
+  async loadRooms() {
+    const files = (await fs.readdir(this.roomsDir)).filter(file => file.endsWith('.json'));
+    const rooms = await Promise.all(files.map(file => this.readJson(path.join(this.roomsDir, file))));
+    return rooms.filter(Boolean);
+  }
+
+  async saveRoom(room) {
+    await this.writeJson(path.join(this.roomsDir, this.fileName(room.code)), room);
+  }
+
+  async deleteRoom(code) {
+    const file = path.join(this.roomsDir, this.fileName(code));
+    await this.queue(file, () => fs.rm(file, { force: true }));
+  }
+
+  async getPlayer(username) {
+    return this.readJson(path.join(this.playersDir, this.fileName(username)));
+  }
+
+  async savePlayer(username, profile) {
+    await this.writeJson(path.join(this.playersDir, this.fileName(username)), profile);
+  }
+
+  async archiveGame(record) {
+    await this.queue(this.gamesFile, () => fs.appendFile(this.gamesFile, `${JSON.stringify(record)}\n`));
+  }
+
+  async getGameHistory({ username = null, limit = 50, since = null } = {}) {
+    let contents;
+    try {
+      contents = await fs.readFile(this.gamesFile, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const games = [];
+    const lines = contents.split('\n');
+    // Newest games are at the end of the file
+    for (let i = lines.length - 1; i >= 0 && games.length < limit; i--) {
+      if (!lines[i].trim()) continue;
+      try {
+        const game = JSON.parse(lines[i]);
+        // Everything before this line is older still
+        if (since && new Date(game.finishedAt) < since) break;
+        if (!username || game.players.some(p => p.username === username)) {
+          games.push(game);
+        }
+      } catch (error) {
+        // Skip a line left incomplete by a crash
+      }
+    }
+    return games;
+  }
+
+  async getDailyResult(dateKey, username) {
+    return this.readJson(path.join(this.dailyDir, dateKey, this.fileName(username)));
+  }
+
+  async saveDailyResult(dateKey, username, result) {
+    await fs.mkdir(path.join(this.dailyDir, dateKey), { recursive: true });
+    await this.writeJson(path.join(this.dailyDir, dateKey, this.fileName(username)), result);
+  }
+
+  async getDailyResults(dateKey) {
+    const dir = path.join(this.dailyDir, dateKey);
+    let files;
+    try {
+      files = (await fs.readdir(dir)).filter(file => file.endsWith('.json'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const results = await Promise.all(files.map(file => this.readJson(path.join(dir, file))));
+    return results.filter(Boolean);
+  }
+
+  async pruneDailyResults(beforeDateKey) {
+    const dateKeys = await fs.readdir(this.dailyDir);
+    await Promise.all(dateKeys
+      .filter(dateKey => dateKey < beforeDateKey)
+      .map(dateKey => fs.rm(path.join(this.dailyDir, dateKey), { recursive: true, force: true })));
+  }
+
+  async close() {
+    await Promise.all(Array.from(this.writes.values()).map(write => write.catch(() => {})));
+  }
+}
+
+module.exports = FileStorage;
@@ -0,0 +1,20 @@
+const path = require('path');
+const logger = require('../utils/logger');
+const config = require('../config');
+const MemoryStorage = require('./memoryStorage');
+const FileStorage = require('./fileStorage');
+
+// Pick the storage backend from STORAGE_DRIVER
+function createStorage(driver = config.STORAGE_DRIVER) {
+  switch (driver) {
+    case 'file':
+      logger.info(`Using file storage in ${config.STORAGE_DIR}`);
+      return new FileStorage(path.resolve(config.STORAGE_DIR));
+    case 'memory':
+      return new MemoryStorage();
+    default:
+      throw new Error(`Unknown storage driver "${driver}" (expected "memory" or "file")`);
+  }
+}
+
+module.exports = createStorage();
@@ -0,0 +1,69 @@
+const StorageAdapter = require('./storageAdapter');
+
+// Default backend: keeps everything in process memory, so nothing survives a restart
+class MemoryStorage extends StorageAdapter {
+  constructor() {
+    super();
+    this.rooms = new Map();
+    this.players = new Map();
+    this.games = [];
+    this.daily = new Map(); // dateKey -> Map(username -> result)
+  }
+
+  async loadRooms() {
+    return Array.from(this.rooms.values()).map(room => JSON.parse(room));
+  }
+
+  async saveRoom(room) {
+    // Store a copy, the live room keeps changing
+    this.rooms.set(room.code, JSON.stringify(room));
+  }
+
+  async deleteRoom(code) {
+    this.rooms.delete(code);
+  }
+
+  async getPlayer(username) {
+    return this.players.has(username) ? JSON.parse(this.players.get(username)) : null;
+  }
+
+  async savePlayer(username, profile) {
+    this.players.set(username, JSON.stringify(profile));
+  }
+
+  async archiveGame(record) {
+    this.games.push(record);
+  }
+
+  async getGameHistory({ username = null, limit = 50, since = null } = {}) {
+    return this.games
+      .filter(game => !username || game.players.some(p => p.username === username))
+      .filter(game => !since || new Date(game.finishedAt) >= since)
+      .slice(-limit)
+      .reverse();
+  }
+
+  async getDailyResult(dateKey, username) {
+    const results = this.daily.get(dateKey);
+    return results && results.has(username) ? JSON.parse(results.get(username)) : null;
+  }
+
+  async saveDailyResult(dateKey, username, result) {
+    if (!this.daily.has(dateKey)) {
+      this.daily.set(dateKey, new Map());
+    }
+    this.daily.get(dateKey).set(username, JSON.stringify(result));
+  }
+
+  async getDailyResults(dateKey) {
+    return Array.from((this.daily.get(dateKey) || new Map()).values()).map(result => JSON.parse(result));
+  }
+
+  async pruneDailyResults(beforeDateKey) {
+    for (const dateKey of this.daily.keys()) {
+      if (dateKey < beforeDateKey) this.daily.delete(dateKey);
+    }
+  }
+}
+
+module.exports = MemoryStorage;
@@ -0,0 +1,67 @@
+// Interface every storage backend implements. RoomManager keeps live rooms in memory and
+// writes them through an adapter, so all methods are async and may hit disk or a database.
+class StorageAdapter {
+  // Prepare the backend (create directories, open connections)
+  async init() {}
+
+  // Rooms that were live when the process stopped
+  async loadRooms() {
+    throw new Error(`${this.constructor.name} does not implement loadRooms`);
+  }
+
+  // Insert or replace a room snapshot
+  async saveRoom(room) {
+    throw new Error(`${this.constructor.name} does not implement saveRoom`);
+  }
+
+  // Forget a room
+  async deleteRoom(code) {
+    throw new Error(`${this.constructor.name} does not implement deleteRoom`);
+  }
+
+  // Player profile by username, or null
+  async getPlayer(username) {
+    throw new Error(`${this.constructor.name} does not implement getPlayer`);
+  }
+
+  // Insert or replace a player profile
+  async savePlayer(username, profile) {
+    throw new Error(`${this.constructor.name} does not implement savePlayer`);
+  }
+
+  // Store the record of a finished game
+  async archiveGame(record) {
+    throw new Error(`${this.constructor.name} does not implement archiveGame`);
+  }
+
+  // Finished games, newest first, optionally only those a player took part in
+  // or that finished at or after `since`
+  async getGameHistory({ username = null, limit = 50, since = null } = {}) {
+    throw new Error(`${this.constructor.name} does not implement getGameHistory`);
+  }
+
+  // A player's attempt at the daily puzzle for a UTC date (YYYY-MM-DD), or null
+  async getDailyResult(dateKey, username) {
+    throw new Error(`${this.constructor.name} does not implement getDailyResult`);
+  }
+
+  // Insert or replace a player's daily attempt
+  async saveDailyResult(dateKey, username, result) {
+    throw new Error(`${this.constructor.name} does not implement saveDailyResult`);
+  }
+
+  // Every attempt at the daily puzzle for a date
+  async getDailyResults(dateKey) {
+    throw new Error(`${this.constructor.name} does not implement getDailyResults`);
+  }
+
+  // Forget daily attempts from before a date
+  async pruneDailyResults(beforeDateKey) {
+    throw new Error(`${this.constructor.name} does not implement pruneDailyResults`);
+  }
+
+  // Flush pending writes and release resources
+  async close() {}
+}
+
+module.exports = StorageAdapter;
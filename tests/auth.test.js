@@ -0,0 +1,106 @@
+process.env.BCRYPT_ROUNDS = '4';
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const authRoutes = require('../routes/auth');
+const { errorHandler } = require('../middleware/errorHandler');
+const { issueAuthTokens, verifyAccessToken, verifyRefreshToken } = require('../utils/authTokens');
+const config = require('../config');
+
+const app = express();
+app.use(express.json());
+app.use('/auth', authRoutes);
+app.use(errorHandler);
+
+describe('authTokens', () => {
+  test('issues an access and a refresh token for the account', () => {
+    const tokens = issueAuthTokens('alice');
+
+    expect(tokens).toMatchObject({ tokenType: 'Bearer', expiresIn: config.ACCESS_TOKEN_TTL });
+    expect(verifyAccessToken(tokens.accessToken)).toMatchObject({ username: 'alice', type: 'access', sub: 'alice' });
+    expect(verifyRefreshToken(tokens.refreshToken)).toMatchObject({ username: 'alice', type: 'refresh' });
+  });
+
+  test('does not accept one kind of token as the other', () => {
+    const { accessToken, refreshToken } = issueAuthTokens('alice');
+
+    expect(() => verifyAccessToken(refreshToken)).toThrow('Invalid access token');
+    expect(() => verifyRefreshToken(accessToken)).toThrow('Invalid refresh token');
+  });
+
+  test('rejects missing, foreign and expired tokens', () => {
+    const foreign = jwt.sign({ username: 'alice', type: 'access' }, 'some-other-secret');
+    const expired = jwt.sign({ username: 'alice', type: 'access' }, config.JWT_SECRET, { expiresIn: -10 });
+
+    expect(() => verifyAccessToken(undefined)).toThrow('access token is required');
+    expect(() => verifyAccessToken(foreign)).toThrow(jwt.JsonWebTokenError);
+    expect(() => verifyAccessToken(expired)).toThrow(jwt.TokenExpiredError);
+  });
+});
+
+describe('auth routes', () => {
+  test('registers, logs in and refreshes a token pair', async () => {
+    const registered = await request(app)
+      .post('/auth/register')
+      .send({ username: 'Refresher', password: 'correct horse' })
+      .expect(201);
+
+    expect(registered.body.user).toMatchObject({ username: 'Refresher' });
+    expect(verifyAccessToken(registered.body.accessToken).username).toBe('Refresher');
+
+    const loggedIn = await request(app)
+      .post('/auth/login')
+      .send({ username: 'refresher', password: 'correct horse' })
+      .expect(200);
+
+    expect(loggedIn.body.user.username).toBe('Refresher');
+
+    const refreshed = await request(app)
+      .post('/auth/refresh')
+      .send({ refreshToken: loggedIn.body.refreshToken })
+      .expect(200);
+
+    expect(refreshed.body.user.username).toBe('Refresher');
+    expect(verifyAccessToken(refreshed.body.accessToken).username).toBe('Refresher');
+    expect(verifyRefreshToken(refreshed.body.refreshToken).username).toBe('Refresher');
+  });
+
+  test('refuses to refresh with an access token', async () => {
+    const { accessToken } = issueAuthTokens('Refresher');
+
+    await request(app)
+      .post('/auth/refresh')
+      .send({ refreshToken: accessToken })
+      .expect(401);
+  });
+
+  test('refuses to refresh for an account that does not exist', async () => {
+    const { refreshToken } = issueAuthTokens('nobody');
+
+    const response = await request(app)
+      .post('/auth/refresh')
+      .send({ refreshToken })
+      .expect(401);
+
+    expect(response.body.error).toBe('Account no longer exists');
+  });
+
+  test('rejects a wrong password without saying which part was wrong', async () => {
+    await request(app)
+      .post('/auth/register')
+      .send({ username: 'Guarded', password: 'correct horse' })
+      .expect(201);
+
+    const wrongPassword = await request(app)
+      .post('/auth/login')
+      .send({ username: 'Guarded', password: 'battery staple' })
+      .expect(401);
+    const unknownUser = await request(app)
+      .post('/auth/login')
+      .send({ username: 'Unguarded', password: 'battery staple' })
+      .expect(401);
+
+    expect(wrongPassword.body.error).toBe(unknownUser.body.error);
+  });
+});
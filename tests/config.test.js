@@ -0,0 +1,43 @@
+// Load config.js afresh with the given environment variables (undefined removes one)
+const loadConfig = (env) => {
+  const original = process.env;
+  process.env = { ...original, ...env };
+
+  try {
+    let config;
+    jest.isolateModules(() => {
+      config = require('../config');
+    });
+    return config;
+  } finally {
+    process.env = original;
+  }
+};
+
+const PRODUCTION = { NODE_ENV: 'production', JWT_SECRET: 'a-long-random-secret', DAILY_SEED: 'another-random-seed' };
+
+describe('config', () => {
+  test('refuses to start in production without JWT_SECRET', () => {
+    expect(() => loadConfig({ ...PRODUCTION, JWT_SECRET: undefined }))
+      .toThrow('JWT_SECRET must be set when NODE_ENV is production');
+  });
+
+  test('refuses to start in production without DAILY_SEED', () => {
+    expect(() => loadConfig({ ...PRODUCTION, DAILY_SEED: undefined }))
+      .toThrow('DAILY_SEED must be set when NODE_ENV is production');
+  });
+
+  test('uses the secrets when they are set', () => {
+    const config = loadConfig(PRODUCTION);
+
+    expect(config.JWT_SECRET).toBe('a-long-random-secret');
+    expect(config.DAILY_SEED).toBe('another-random-seed');
+  });
+
+  test('falls back to the development secrets outside production', () => {
+    const config = loadConfig({ NODE_ENV: 'development', JWT_SECRET: undefined, DAILY_SEED: undefined });
+
+    expect(config.JWT_SECRET).toBeTruthy();
+    expect(config.DAILY_SEED).toBeTruthy();
+  });
+});
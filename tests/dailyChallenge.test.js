@@ -0,0 +1,94 @@
+const dailyChallenge = require('../utils/dailyChallenge');
+const roomManager = require('../utils/roomManager');
+const wordValidator = require('../utils/wordValidator');
+const { ConflictError } = require('../middleware/errorHandler');
+const config = require('../config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('dailyChallenge puzzle', () => {
+  afterAll(() => {
+    roomManager.stopCleanupInterval();
+  });
+
+  test('numbers puzzles by UTC day from the epoch', () => {
+    const epoch = Date.parse(config.DAILY_EPOCH);
+
+    expect(dailyChallenge.getPuzzleNumber(new Date(epoch))).toBe(1);
+    expect(dailyChallenge.getPuzzleNumber(new Date(epoch + DAY_MS - 1))).toBe(1);
+    expect(dailyChallenge.getPuzzleNumber(new Date(epoch + 40 * DAY_MS))).toBe(41);
+    expect(dailyChallenge.getDateKey(new Date('2026-03-05T23:59:59.000Z'))).toBe('2026-03-05');
+  });
+
+  test('gives the same word all day', () => {
+    const word = dailyChallenge.getWord(new Date('2026-03-05T00:00:00.000Z'));
+
+    expect(dailyChallenge.getWord(new Date('2026-03-05T23:59:59.000Z'))).toBe(word);
+    expect(wordValidator.isAnswerWord(word)).toBe(true);
+  });
+
+  test('shuffles the whole answer list, so no word repeats before all were used', () => {
+    const order = dailyChallenge.getOrder();
+    const answers = wordValidator.answersByLength.get(config.WORD_LENGTH);
+
+    expect(order).toHaveLength(answers.length);
+    expect(new Set(order)).toEqual(new Set(answers));
+    expect(order).not.toEqual(answers.slice().sort());
+  });
+
+  test('gives consecutive days different words', () => {
+    const epoch = Date.parse(config.DAILY_EPOCH);
+    const words = Array.from({ length: 60 }, (_, i) => dailyChallenge.getWord(new Date(epoch + i * DAY_MS)));
+
+    expect(new Set(words).size).toBe(60);
+  });
+});
+
+describe('dailyChallenge attempts', () => {
+  const today = () => dailyChallenge.getWord();
+  // Another answer word, used as a wrong guess
+  const wrongGuess = () => dailyChallenge.getOrder().find(word => word !== today());
+
+  test('plays today\'s word once per player, resuming an unfinished attempt', async () => {
+    const { room, resumed } = await dailyChallenge.startAttempt('dora');
+
+    expect(resumed).toBe(false);
+    expect(room.mode).toBe('daily');
+    expect(room.solutionWord).toBe(today());
+    expect(room.customWord).toBe(false);
+
+    const again = await dailyChallenge.startAttempt('dora');
+    expect(again.resumed).toBe(true);
+    expect(again.room).toBe(room);
+
+    roomManager.submitGuess(room.code, 'dora', today());
+    await dailyChallenge.recordResult(room, 'dora');
+
+    await expect((async () => dailyChallenge.startAttempt('dora'))()).rejects.toThrow(ConflictError);
+  });
+
+  test('ranks solvers by guesses, then time, ahead of failed attempts', async () => {
+    const play = async (username, guesses) => {
+      const { room } = await dailyChallenge.startAttempt(username);
+      guesses.forEach(word => roomManager.submitGuess(room.code, username, word));
+      if (!room.players[0].won) {
+        roomManager.forfeitPlayer(room.code, username);
+      }
+      await dailyChallenge.recordResult(room, username);
+    };
+
+    await play('evan', [wrongGuess(), today()]);
+    await play('fern', [wrongGuess()]);
+    await play('gail', [today()]);
+
+    const leaderboard = await dailyChallenge.getLeaderboard();
+    const entries = leaderboard.entries.filter(entry => ['evan', 'fern', 'gail'].includes(entry.username));
+
+    expect(leaderboard.puzzleNumber).toBe(dailyChallenge.getPuzzleNumber());
+    expect(entries.map(entry => [entry.username, entry.solved, entry.guesses])).toEqual([
+      ['gail', true, 1],
+      ['evan', true, 2],
+      ['fern', false, 1]
+    ]);
+  });
+});
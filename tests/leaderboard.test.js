@@ -0,0 +1,106 @@
+const leaderboard = require('../utils/leaderboard');
+
+// Finished-game records shaped like RoomManager.createGameRecord
+const game = (day, mode, players, settings = {}) => ({
+  mode,
+  settings,
+  finishedAt: `2026-01-0${day}T12:00:00.000Z`,
+  players: players.map(p => ({ isBot: false, won: false, solved: false, solveTimeMs: null, ...p }))
+});
+
+const GAMES = [
+  game(1, 'duel', [
+    { username: 'alice', won: true, solved: true, solveTimeMs: 30000 },
+    { username: 'bob' }
+  ]),
+  game(2, 'duel', [
+    { username: 'alice', won: true, solved: true, solveTimeMs: 20000 },
+    { username: 'bob' }
+  ]),
+  game(3, 'duel', [
+    { username: 'bob', won: true, solved: true, solveTimeMs: 15000 },
+    { username: 'alice' }
+  ]),
+  game(4, 'battleRoyale', [
+    { username: 'carol', won: true, solved: true, solveTimeMs: 40000 },
+    { username: 'alice', solved: true, solveTimeMs: 45000 },
+    { username: 'bob' }
+  ]),
+  game(5, 'duel', [
+    { username: 'alice', won: true, solved: true, solveTimeMs: 25000 },
+    { username: 'Bot Easy', isBot: true }
+  ]),
+  game(6, 'solo', [
+    { username: 'alice', won: true, solved: true, solveTimeMs: 1000 }
+  ], { sprintDuration: 60 }),
+  { ...game(7, 'duel', [
+    { username: 'carol', won: true, solved: true, solveTimeMs: 2000 },
+    { username: 'dave' }
+  ]), customWord: true }
+];
+
+const usernames = entries => entries.map(entry => entry.username);
+
+describe('leaderboard.rank', () => {
+  test('ranks by wins, breaking ties on win rate', () => {
+    const ranked = leaderboard.rank(GAMES);
+
+    expect(usernames(ranked)).toEqual(['alice', 'carol', 'bob']);
+    expect(ranked.map(entry => entry.rank)).toEqual([1, 2, 3]);
+    expect(ranked[0]).toMatchObject({ gamesPlayed: 5, wins: 3, winRate: 60, bestStreak: 2, fastestSolveMs: 20000 });
+    expect(ranked[2]).toMatchObject({ gamesPlayed: 4, wins: 1, winRate: 25, fastestSolveMs: 15000 });
+  });
+
+  test('leaves out bots and solo sprints', () => {
+    const ranked = leaderboard.rank(GAMES);
+
+    expect(usernames(ranked)).not.toContain('Bot Easy');
+    expect(ranked.find(entry => entry.username === 'alice').fastestSolveMs).toBe(20000);
+  });
+
+  test('leaves out games on the host\'s custom word', () => {
+    const ranked = leaderboard.rank(GAMES);
+
+    expect(usernames(ranked)).not.toContain('dave');
+    expect(ranked.find(entry => entry.username === 'carol')).toMatchObject({ gamesPlayed: 1, fastestSolveMs: 40000 });
+  });
+
+  test('only counts games of the requested mode', () => {
+    const ranked = leaderboard.rank(GAMES, { mode: 'duel' });
+
+    expect(usernames(ranked)).toEqual(['alice', 'bob']);
+    expect(ranked[0]).toMatchObject({ gamesPlayed: 4, wins: 3 });
+  });
+
+  test('ranks the fastest solve, ignoring unsolved games', () => {
+    const ranked = leaderboard.rank(GAMES, { metric: 'fastest' });
+
+    expect(ranked.map(entry => [entry.username, entry.fastestSolveMs])).toEqual([
+      ['bob', 15000],
+      ['alice', 20000],
+      ['carol', 40000]
+    ]);
+  });
+
+  test('orders games by finish time before counting streaks', () => {
+    const shuffled = [GAMES[4], GAMES[2], GAMES[0], GAMES[3], GAMES[1]];
+    const ranked = leaderboard.rank(shuffled, { metric: 'streak' });
+
+    // Equal streaks fall back to wins, then name
+    expect(ranked.map(entry => [entry.username, entry.bestStreak])).toEqual([
+      ['alice', 2],
+      ['bob', 1],
+      ['carol', 1]
+    ]);
+  });
+
+  test('needs LEADERBOARD_MIN_GAMES games to be ranked by win rate', () => {
+    const ranked = leaderboard.rank(GAMES, { metric: 'winRate' });
+
+    expect(usernames(ranked)).toEqual(['alice']);
+  });
+
+  test('returns an empty ranking without games', () => {
+    expect(leaderboard.rank([])).toEqual([]);
+  });
+});
@@ -0,0 +1,85 @@
+const EventEmitter = require('events');
+const LocalBroker = require('../scaling/localBroker');
+
+// Let setImmediate deliveries run
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('LocalBroker', () => {
+  let bus;
+  let brokers;
+
+  beforeEach(() => {
+    bus = new EventEmitter();
+    brokers = [new LocalBroker(bus), new LocalBroker(bus)];
+  });
+
+  afterEach(() => {
+    brokers.forEach(broker => broker.close());
+  });
+
+  test('delivers a message to every subscriber on the bus, the sender included', async () => {
+    const [a, b] = brokers;
+    const received = { a: [], b: [] };
+    a.subscribe('rooms', message => received.a.push(message));
+    b.subscribe('rooms', message => received.b.push(message));
+
+    a.publish('rooms', { type: 'ping' });
+    await flush();
+
+    expect(received).toEqual({ a: [{ type: 'ping' }], b: [{ type: 'ping' }] });
+  });
+
+  test('delivers asynchronously and sends a copy of the message', async () => {
+    const [a, b] = brokers;
+    const received = [];
+    b.subscribe('rooms', message => received.push(message));
+
+    const message = { room: { code: 'ABC123', version: 1 } };
+    a.publish('rooms', message);
+    message.room.version = 2;
+
+    expect(received).toHaveLength(0);
+    await flush();
+    expect(received).toEqual([{ room: { code: 'ABC123', version: 1 } }]);
+    expect(received[0]).not.toBe(message);
+  });
+
+  test('only delivers on the subscribed channel', async () => {
+    const [a, b] = brokers;
+    const handler = jest.fn();
+    b.subscribe('rooms', handler);
+
+    a.publish('other', { type: 'ping' });
+    await flush();
+
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  test('stops delivering after unsubscribe or close', async () => {
+    const [a, b] = brokers;
+    const unsubscribed = jest.fn();
+    const closed = jest.fn();
+    const unsubscribe = b.subscribe('rooms', unsubscribed);
+    a.subscribe('rooms', closed);
+
+    unsubscribe();
+    a.close();
+    b.publish('rooms', { type: 'ping' });
+    await flush();
+
+    expect(unsubscribed).not.toHaveBeenCalled();
+    expect(closed).not.toHaveBeenCalled();
+  });
+
+  test('keeps separate buses apart', async () => {
+    const isolated = new LocalBroker(new EventEmitter());
+    const handler = jest.fn();
+    isolated.subscribe('rooms', handler);
+
+    brokers[0].publish('rooms', { type: 'ping' });
+    await flush();
+
+    expect(handler).not.toHaveBeenCalled();
+    isolated.close();
+  });
+});
@@ -0,0 +1,114 @@
+const matchmaker = require('../utils/matchmaker');
+const roomManager = require('../utils/roomManager');
+const { ValidationError, ConflictError } = require('../middleware/errorHandler');
+const config = require('../config');
+
+describe('matchmaker', () => {
+  let now;
+  let matches;
+  const onMatch = match => matches.push(match);
+
+  // Queue a player at the current fake time
+  const join = (socketId, username, rating, mode = 'duel') => matchmaker.join(socketId, { username, mode, rating });
+  const wait = ms => { now += ms; };
+
+  beforeEach(() => {
+    now = 1700000000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    matches = [];
+    matchmaker.on('match', onMatch);
+  });
+
+  afterEach(() => {
+    matchmaker.off('match', onMatch);
+    Array.from(matchmaker.queue.keys()).forEach(socketId => matchmaker.leave(socketId));
+    matches.forEach(({ room }) => roomManager.deleteRoom(room.code));
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    matchmaker.stopTicking();
+    roomManager.stopCleanupInterval();
+  });
+
+  test('only queues for modes that have a match size', () => {
+    expect(() => join('s1', 'alice', 1500, 'solo')).toThrow(ValidationError);
+  });
+
+  test('does not queue one player from two sockets', () => {
+    join('s1', 'alice', 1500);
+
+    expect(() => join('s2', 'alice', 1500)).toThrow(ConflictError);
+    expect(matchmaker.getQueueSize('duel')).toBe(1);
+  });
+
+  test('matches close ratings straight away, the longest-waiting player hosting', () => {
+    join('s1', 'alice', 1500);
+    wait(1000);
+    join('s2', 'bob', 1580);
+
+    const [match] = matchmaker.matchPlayers('duel');
+
+    expect(match.room.hostId).toBe('alice');
+    expect(match.room.players.map(p => p.username)).toEqual(['alice', 'bob']);
+    expect(matches).toHaveLength(1);
+    expect(matchmaker.getQueueSize('duel')).toBe(0);
+  });
+
+  test('widens the accepted rating gap the longer a player waits', () => {
+    const entry = join('s1', 'alice', 1500);
+
+    expect(matchmaker.getRatingGap(entry, now)).toBe(config.QUEUE_RATING_GAP);
+    expect(matchmaker.getRatingGap(entry, now + config.QUEUE_RATING_GAP_INTERVAL_MS * 3))
+      .toBe(config.QUEUE_RATING_GAP + config.QUEUE_RATING_GAP_STEP * 3);
+  });
+
+  test('pairs distant ratings only once both players have waited long enough', () => {
+    join('s1', 'alice', 1500);
+    join('s2', 'bob', 1750);
+
+    expect(matchmaker.matchPlayers('duel')).toEqual([]);
+
+    // A gap of 250 needs three widening steps
+    wait(config.QUEUE_RATING_GAP_INTERVAL_MS * 2);
+    expect(matchmaker.matchPlayers('duel')).toEqual([]);
+
+    wait(config.QUEUE_RATING_GAP_INTERVAL_MS);
+    expect(matchmaker.matchPlayers('duel')).toHaveLength(1);
+  });
+
+  test('pairs the longest-waiting player with the closest rating', () => {
+    join('s1', 'alice', 1500);
+    join('s2', 'bob', 1590);
+    join('s3', 'carol', 1520);
+
+    const [match] = matchmaker.matchPlayers('duel');
+
+    expect(match.entries.map(entry => entry.username)).toEqual(['alice', 'carol']);
+    expect(matchmaker.getEntry('s2')).toMatchObject({ username: 'bob' });
+  });
+
+  test('fills a battle royale only when enough players are waiting', () => {
+    join('s1', 'alice', 1500, 'battleRoyale');
+    join('s2', 'bob', 1510, 'battleRoyale');
+    join('s3', 'carol', 1520, 'battleRoyale');
+    join('s4', 'dave', 1530);
+
+    expect(matchmaker.matchPlayers('battleRoyale')).toEqual([]);
+
+    join('s5', 'erin', 1540, 'battleRoyale');
+    const [match] = matchmaker.matchPlayers('battleRoyale');
+
+    expect(match.room.mode).toBe('battleRoyale');
+    expect(match.room.players).toHaveLength(config.QUEUE_MATCH_SIZES.battleRoyale);
+    expect(matchmaker.getEntry('s4')).toMatchObject({ mode: 'duel' });
+  });
+
+  test('stops ticking once the queue is empty', () => {
+    join('s1', 'alice', 1500);
+    expect(matchmaker.tickInterval).not.toBeNull();
+
+    matchmaker.leave('s1');
+    expect(matchmaker.tickInterval).toBeNull();
+  });
+});
@@ -0,0 +1,37 @@
+const playerStats = require('../utils/playerStats');
+const roomManager = require('../utils/roomManager');
+
+describe('playerStats.recordGame', () => {
+  const codes = [];
+
+  // A finished duel between two players that the first one won on their first guess
+  const playDuel = (host, guest, customWord = null) => {
+    const room = roomManager.createRoom(host, 'duel');
+    codes.push(room.code);
+    roomManager.addPlayerToRoom(room.code, guest);
+    roomManager.startGame(room.code, customWord, host);
+    roomManager.submitGuess(room.code, host, room.solutionWord);
+    roomManager.finishGame(room.code, host);
+    return room;
+  };
+
+  afterAll(() => {
+    codes.forEach(code => roomManager.deleteRoom(code));
+    roomManager.stopCleanupInterval();
+  });
+
+  test('counts a finished game for every human player', async () => {
+    await playerStats.recordGame(playDuel('mia', 'ned'), 'mia');
+
+    expect(await playerStats.getStats('mia')).toMatchObject({ gamesPlayed: 1, wins: 1, currentStreak: 1 });
+    expect(await playerStats.getStats('ned')).toMatchObject({ gamesPlayed: 1, wins: 0, currentStreak: 0 });
+  });
+
+  test('leaves out games on the host\'s custom word', async () => {
+    const room = playDuel('ola', 'pip', 'CRANE');
+
+    expect(room.customWord).toBe(true);
+    expect(await playerStats.recordGame(room, 'ola')).toEqual([]);
+    expect(await playerStats.getStats('ola')).toBeNull();
+  });
+});
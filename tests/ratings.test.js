@@ -0,0 +1,81 @@
+const ratings = require('../utils/ratings');
+const playerProfiles = require('../utils/playerProfiles');
+const config = require('../config');
+
+// A finished room with the given players, shaped like RoomManager rooms
+const duel = (code, usernames, mode = 'duel') => ({
+  code,
+  mode,
+  players: usernames.map(username => ({ username, isBot: username.startsWith('Bot_') }))
+});
+
+describe('ratings', () => {
+  test('expects evenly rated players to be even and a 400 point gap to win 10 to 1', () => {
+    expect(ratings.getExpectedScore(1500, 1500)).toBe(0.5);
+    expect(ratings.getExpectedScore(1900, 1500)).toBeCloseTo(10 / 11);
+    expect(ratings.getExpectedScore(1500, 1900)).toBeCloseTo(1 / 11);
+  });
+
+  test('uses the provisional K-factor for a player\'s first rated games', () => {
+    expect(ratings.getKFactor({ ratedGames: 0 })).toBe(config.RATING_PROVISIONAL_K_FACTOR);
+    expect(ratings.getKFactor({ ratedGames: config.RATING_PROVISIONAL_GAMES })).toBe(config.RATING_K_FACTOR);
+  });
+
+  test('moves both ratings after a duel between new players', async () => {
+    const changes = await ratings.recordDuel(duel('ELO001', ['ann', 'ben']), 'ann');
+
+    const half = config.RATING_PROVISIONAL_K_FACTOR / 2;
+    expect(changes).toEqual([
+      expect.objectContaining({ username: 'ann', opponent: 'ben', result: 'win', ratingBefore: 1500, rating: 1500 + half, change: half }),
+      expect.objectContaining({ username: 'ben', opponent: 'ann', result: 'loss', ratingBefore: 1500, rating: 1500 - half, change: -half })
+    ]);
+
+    expect(await ratings.getRating('ANN')).toEqual({
+      rating: 1500 + half,
+      peakRating: 1500 + half,
+      ratedGames: 1,
+      provisional: true
+    });
+    expect(ratings.getCachedRating('Ben')).toBe(1500 - half);
+  });
+
+  test('leaves equal ratings alone after a draw', async () => {
+    const changes = await ratings.recordDuel(duel('ELO002', ['cat', 'dan']), null);
+
+    expect(changes.map(change => [change.result, change.change])).toEqual([['draw', 0], ['draw', 0]]);
+  });
+
+  test('gives more for beating a stronger player than a weaker one', async () => {
+    await playerProfiles.update('strong', () => ({
+      username: 'strong',
+      rating: { rating: 1800, peakRating: 1800, ratedGames: 30, history: [] }
+    }));
+
+    const [upset] = await ratings.recordDuel(duel('ELO003', ['eve', 'strong']), 'eve');
+    const [expected] = await ratings.recordDuel(duel('ELO004', ['strong', 'fay']), 'strong');
+
+    expect(upset.change).toBeGreaterThan(config.RATING_PROVISIONAL_K_FACTOR / 2);
+    expect(expected.change).toBeLessThan(config.RATING_K_FACTOR / 2);
+    expect(expected.change).toBeGreaterThan(0);
+  });
+
+  test('keeps a history of changes, newest first, and the peak rating', async () => {
+    await ratings.recordDuel(duel('ELO005', ['gus', 'hal']), 'gus');
+    await ratings.recordDuel(duel('ELO006', ['gus', 'hal']), 'hal');
+
+    const history = await ratings.getHistory('gus');
+    const state = await ratings.getRating('gus');
+
+    expect(history.map(entry => [entry.roomCode, entry.result])).toEqual([['ELO006', 'loss'], ['ELO005', 'win']]);
+    expect(history[0].ratingBefore).toBe(history[1].rating);
+    expect(state.peakRating).toBe(history[1].rating);
+    expect(state.rating).toBeLessThan(state.peakRating);
+  });
+
+  test('does not rate battle royales, games against bots or games on a custom word', async () => {
+    expect(await ratings.recordDuel(duel('ELO007', ['ivy', 'Bot_Easy']), 'ivy')).toBeNull();
+    expect(await ratings.recordDuel(duel('ELO008', ['ivy', 'jon', 'kim'], 'battleRoyale'), 'ivy')).toBeNull();
+    expect(await ratings.recordDuel({ ...duel('ELO009', ['ivy', 'jon']), customWord: true }, 'ivy')).toBeNull();
+    expect((await ratings.getRating('ivy')).ratedGames).toBe(0);
+  });
+});
@@ -0,0 +1,165 @@
+const roomManager = require('../utils/roomManager');
+
+const START = Date.parse('2026-01-01T12:00:00.000Z');
+
+afterAll(() => {
+  roomManager.stopCleanupInterval();
+});
+
+describe('roomManager.completeRound', () => {
+  let code;
+
+  // A battle royale with the given players, started on CRANE by the first one
+  const startBattle = (usernames) => {
+    const room = roomManager.createRoom(usernames[0], 'battleRoyale');
+    usernames.slice(1).forEach(username => roomManager.addPlayerToRoom(room.code, username));
+    roomManager.startGame(room.code, 'CRANE', usernames[0]);
+    code = room.code;
+    return room;
+  };
+
+  // Submit guesses `seconds` into the round
+  const guessAt = (seconds, username, ...words) => {
+    jest.setSystemTime(START + seconds * 1000);
+    words.forEach(word => roomManager.submitGuess(code, username, word));
+  };
+
+  const player = (room, username) => room.players.find(p => p.username === username);
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: START });
+  });
+
+  afterEach(() => {
+    roomManager.deleteRoom(code);
+    jest.useRealTimers();
+  });
+
+  test('knocks out everyone who failed, and the slowest solver', () => {
+    const room = startBattle(['alice', 'bob', 'carol', 'dave']);
+
+    guessAt(10, 'bob', 'CRANE');
+    guessAt(20, 'alice', 'SLOTH', 'CRANE');
+    guessAt(30, 'carol', 'SLOTH');
+    roomManager.eliminatePlayer(code, 'dave', 'timeout');
+
+    const result = roomManager.completeRound(code);
+
+    expect(result.standings.map(s => [s.username, s.position, s.knockedOut])).toEqual([
+      ['bob', 1, false],
+      ['alice', 2, true],
+      ['carol', 3, true],
+      ['dave', 4, true]
+    ]);
+    expect(result.knockedOut).toEqual(expect.arrayContaining(['alice', 'carol', 'dave']));
+    expect(result.survivors).toEqual(['bob']);
+    expect(result.winner).toBe('bob');
+    expect(player(room, 'alice').knockedOut).toBe(true);
+  });
+
+  test('breaks a tie on attempts by solve time', () => {
+    startBattle(['alice', 'bob', 'carol']);
+
+    guessAt(15, 'alice', 'SLOTH', 'CRANE');
+    guessAt(12, 'bob', 'PIANO', 'CRANE');
+    guessAt(5, 'carol', 'CRANE');
+
+    const result = roomManager.completeRound(code);
+
+    expect(result.standings.map(s => s.username)).toEqual(['carol', 'bob', 'alice']);
+    expect(result.knockedOut).toEqual(['alice']);
+    expect(result.survivors.sort()).toEqual(['bob', 'carol']);
+    expect(result.winner).toBeNull();
+  });
+
+  test('keeps everyone who tried when nobody solved the word', () => {
+    startBattle(['alice', 'bob', 'carol']);
+
+    guessAt(10, 'alice', 'SLOTH');
+    guessAt(10, 'bob', 'PIANO');
+    roomManager.forfeitPlayer(code, 'carol');
+
+    const result = roomManager.completeRound(code);
+
+    expect(result.knockedOut).toEqual(['carol']);
+    expect(result.survivors.sort()).toEqual(['alice', 'bob']);
+  });
+});
+
+describe('roomManager.startRematch', () => {
+  let code;
+
+  // A finished duel between alice and bob that alice won, by solving or because bob left
+  const finishedDuel = ({ bobLeft = false } = {}) => {
+    const room = roomManager.createRoom('alice', 'duel');
+    code = room.code;
+    roomManager.addPlayerToRoom(code, 'bob');
+    roomManager.startGame(code, 'CRANE', 'alice');
+    if (bobLeft) {
+      roomManager.setPlayerConnected(code, 'bob', false);
+      roomManager.forfeitPlayer(code, 'bob');
+    } else {
+      roomManager.submitGuess(code, 'alice', 'CRANE');
+    }
+    roomManager.finishGame(code, 'alice');
+    return room;
+  };
+
+  afterEach(() => {
+    roomManager.deleteRoom(code);
+  });
+
+  test('starts the next game with the same players', () => {
+    const room = finishedDuel();
+    const roundNumber = room.roundNumber;
+
+    roomManager.startRematch(code);
+
+    expect(room.status).toBe('playing');
+    expect(room.roundNumber).toBe(roundNumber + 1);
+    expect(room.players.map(p => p.username)).toEqual(['alice', 'bob']);
+  });
+
+  test('leaves the finished game untouched when too few players would be left', () => {
+    const room = finishedDuel({ bobLeft: true });
+    const { roundNumber, version } = room;
+
+    expect(() => roomManager.startRematch(code)).toThrow('Need at least 2 players to start');
+
+    expect(room.status).toBe('finished');
+    expect(room.roundNumber).toBe(roundNumber);
+    expect(room.version).toBe(version);
+    expect(room.players.map(p => p.username)).toEqual(['alice', 'bob']);
+  });
+});
+
+describe('roomManager.canRevealToSpectators', () => {
+  let code;
+
+  afterEach(() => {
+    roomManager.deleteRoom(code);
+  });
+
+  test('holds back every finished board\'s letters until the round is over', () => {
+    const room = roomManager.createRoom('alice', 'battleRoyale');
+    code = room.code;
+    ['bob', 'carol'].forEach(username => roomManager.addPlayerToRoom(code, username));
+    roomManager.startGame(code, 'CRANE', 'alice');
+    const [alice, bob, carol] = room.players;
+
+    roomManager.submitGuess(code, 'alice', 'CRANE');
+    roomManager.submitGuess(code, 'bob', 'SLOTH');
+    roomManager.forfeitPlayer(code, 'bob');
+
+    expect(roomManager.canRevealToSpectators(room, alice)).toBe(false);
+    expect(roomManager.canRevealToSpectators(room, bob)).toBe(false);
+    expect(roomManager.serializeRoom(room, { forSpectators: true }).players[1].guesses[0]).not.toHaveProperty('word');
+
+    roomManager.eliminatePlayer(code, 'carol', 'timeout');
+    roomManager.completeRound(code);
+
+    expect(roomManager.canRevealToSpectators(room, alice)).toBe(true);
+    expect(roomManager.canRevealToSpectators(room, bob)).toBe(true);
+    expect(roomManager.canRevealToSpectators(room, carol)).toBe(true);
+  });
+});
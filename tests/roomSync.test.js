@@ -0,0 +1,216 @@
+const EventEmitter = require('events');
+const roomManager = require('../utils/roomManager');
+const LocalBroker = require('../scaling/localBroker');
+const RoomSync = require('../scaling/roomSync');
+const storage = require('../storage');
+const { getWorkerSlot } = require('../scaling/sticky');
+
+const RoomManager = roomManager.constructor;
+const WORKER_COUNT = 2;
+
+// RoomSync publishes on the next tick and LocalBroker delivers on the one after
+const settle = async () => {
+  for (let i = 0; i < 5; i++) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+};
+
+describe('RoomSync', () => {
+  let bus;
+  let nodes;
+
+  // A "server process": its own RoomManager and broker on the shared bus, owning the rooms
+  // that sticky routing sends to its slot
+  const startNode = (id, slot = nodes.length % WORKER_COUNT) => {
+    const manager = new RoomManager();
+    jest.spyOn(manager, 'ownsRoom').mockImplementation(code => getWorkerSlot(`room:${code}`, WORKER_COUNT) === slot);
+    const broker = new LocalBroker(bus);
+    const sync = new RoomSync(manager, broker, id);
+    sync.start();
+
+    const node = { manager, broker, sync };
+    nodes.push(node);
+    return node;
+  };
+
+  beforeEach(() => {
+    bus = new EventEmitter();
+    nodes = [];
+  });
+
+  afterEach(() => {
+    nodes.forEach(({ manager, sync, broker }) => {
+      sync.stop();
+      broker.close();
+      manager.stopCleanupInterval();
+    });
+  });
+
+  afterAll(() => {
+    roomManager.stopCleanupInterval();
+  });
+
+  test('copies a new room and later changes to the other process', async () => {
+    const a = startNode('a');
+    const b = startNode('b');
+
+    const room = a.manager.createRoom('alice', 'duel');
+    await settle();
+
+    expect(b.manager.getRoom(room.code)).toMatchObject({ code: room.code, hostId: 'alice', version: room.version });
+
+    a.manager.addPlayerToRoom(room.code, 'bob');
+    await settle();
+
+    const copy = b.manager.getRoom(room.code);
+    expect(copy.players.map(p => p.username)).toEqual(['alice', 'bob']);
+    expect(copy.version).toBe(room.version);
+    expect(copy.createdAt).toBeInstanceOf(Date);
+  });
+
+  test('sends several changes in one tick as a single snapshot', async () => {
+    const a = startNode('a');
+    startNode('b');
+    // Let a answer b's startup sync request first
+    await settle();
+    const publish = jest.spyOn(a.broker, 'publish');
+
+    const room = a.manager.createRoom('alice', 'battleRoyale');
+    a.manager.addPlayerToRoom(room.code, 'bob');
+    a.manager.addPlayerToRoom(room.code, 'carol');
+    await settle();
+
+    const snapshots = publish.mock.calls.filter(([, message]) => message.type === 'snapshot');
+    expect(snapshots).toHaveLength(1);
+    expect(snapshots[0][1].room.players).toHaveLength(3);
+  });
+
+  test('ignores a snapshot older than the local copy', async () => {
+    const a = startNode('a');
+    const b = startNode('b');
+
+    const room = a.manager.createRoom('alice', 'duel');
+    await settle();
+
+    const stale = JSON.parse(JSON.stringify(room));
+    a.manager.addPlayerToRoom(room.code, 'bob');
+    await settle();
+
+    b.sync.handleMessage({ type: 'snapshot', from: 'a', room: stale });
+
+    expect(b.manager.getRoom(room.code).players.map(p => p.username)).toEqual(['alice', 'bob']);
+  });
+
+  test('never lets another process overwrite a room it owns', async () => {
+    const a = startNode('a');
+    const b = startNode('b');
+
+    const room = a.manager.createRoom('alice', 'duel');
+    await settle();
+
+    const other = JSON.parse(JSON.stringify(room));
+    other.players.push({ ...other.players[0], username: 'mallory' });
+    other.version = room.version + 5;
+    a.sync.handleMessage({ type: 'snapshot', from: 'b', room: other });
+
+    expect(a.manager.getRoom(room.code).players.map(p => p.username)).toEqual(['alice']);
+    expect(b.manager.ownsRoom(room.code)).toBe(false);
+  });
+
+  test('keeps the live room object when a newer snapshot arrives', async () => {
+    const a = startNode('a');
+    const b = startNode('b');
+
+    const room = a.manager.createRoom('alice', 'duel');
+    await settle();
+    const copy = b.manager.getRoom(room.code);
+
+    a.manager.addPlayerToRoom(room.code, 'bob');
+    await settle();
+
+    expect(b.manager.getRoom(room.code)).toBe(copy);
+    expect(copy.players).toHaveLength(2);
+  });
+
+  test('removes a deleted room everywhere without announcing it again', async () => {
+    const a = startNode('a');
+    const b = startNode('b');
+
+    const room = a.manager.createRoom('alice', 'duel');
+    await settle();
+
+    const deleted = jest.fn();
+    b.manager.on('roomDeleted', deleted);
+    const publish = jest.spyOn(b.broker, 'publish');
+
+    a.manager.deleteRoom(room.code);
+    await settle();
+
+    expect(b.manager.roomExists(room.code)).toBe(false);
+    expect(deleted).toHaveBeenCalledWith(room.code, { remote: true });
+    expect(publish).not.toHaveBeenCalled();
+  });
+
+  test('sends existing rooms to a process that starts later', async () => {
+    const a = startNode('a');
+    const room = a.manager.createRoom('alice', 'duel');
+    await settle();
+
+    const late = startNode('late');
+    await settle();
+
+    expect(late.manager.getRoom(room.code)).toMatchObject({ code: room.code, version: room.version });
+  });
+
+  test('resumes its rooms on a restarted owner from another process\'s copy', async () => {
+    const a = startNode('a');
+    const b = startNode('b');
+
+    const room = a.manager.createRoom('alice', 'duel');
+    a.manager.addPlayerToRoom(room.code, 'bob');
+    a.manager.startGame(room.code, 'CRANE', 'alice');
+    await settle();
+
+    // The owner crashes and comes back in the same slot with no rooms
+    a.sync.stop();
+    a.broker.close();
+    const restarted = startNode('a-restarted', 0);
+    const restored = jest.fn();
+    restarted.manager.on('roomRestored', restored);
+    await settle();
+
+    const adopted = restarted.manager.getRoom(room.code);
+    expect(restored).toHaveBeenCalledWith(adopted);
+    expect(adopted).toMatchObject({ status: 'playing', solutionWord: 'CRANE', version: room.version + 1 });
+    expect(adopted.players.map(p => p.connected)).toEqual([false, false]);
+    expect(b.manager.getRoom(room.code).version).toBe(adopted.version);
+  });
+
+  test('saves a room only on the process that owns it', async () => {
+    const a = startNode('a');
+    const b = startNode('b');
+
+    const room = a.manager.createRoom('alice', 'duel');
+    await settle();
+    const saveRoom = jest.spyOn(storage, 'saveRoom');
+
+    expect(b.manager.flushRooms()).toBe(0);
+    expect(b.manager.persistRoom(b.manager.getRoom(room.code))).toBe(false);
+    expect(saveRoom).not.toHaveBeenCalled();
+
+    expect(a.manager.persistRoom(room)).toBe(true);
+    expect(saveRoom).toHaveBeenCalledWith(room);
+    saveRoom.mockRestore();
+  });
+
+  test('stops publishing after stop()', async () => {
+    const a = startNode('a');
+    const b = startNode('b');
+    a.sync.stop();
+
+    const room = a.manager.createRoom('alice', 'duel');
+    await settle();
+
+    expect(b.manager.roomExists(room.code)).toBe(false);
+  });
+});
@@ -0,0 +1,91 @@
+const scoring = require('../utils/scoring');
+const config = require('../config');
+
+const ROUND_START = Date.parse('2026-01-01T12:00:00.000Z');
+
+// A player who made `attempts` guesses, the last one `seconds` into the round
+const player = (username, { attempts, seconds, won = false, knockedOut = false }) => ({
+  username,
+  won,
+  knockedOut,
+  score: 0,
+  guesses: Array.from({ length: attempts }, (_, i) => ({
+    word: 'CRANE',
+    timestamp: new Date(ROUND_START + (i === attempts - 1 ? seconds : 0) * 1000).toISOString()
+  }))
+});
+
+const room = (players, settings = {}) => ({
+  mode: 'battleRoyale',
+  roundStartTime: new Date(ROUND_START).toISOString(),
+  settings: { maxGuesses: 6, scoring: 'standard', ...settings },
+  players
+});
+
+describe('scoring', () => {
+  const rules = config.SCORING;
+
+  test('orders solvers by when they solved and skips knocked out players', () => {
+    const results = scoring.getRoundResults(room([
+      player('alice', { attempts: 4, seconds: 50, won: true }),
+      player('bob', { attempts: 2, seconds: 20, won: true }),
+      player('carol', { attempts: 6, seconds: 90 }),
+      player('dave', { attempts: 3, seconds: 10, won: true, knockedOut: true })
+    ]));
+
+    expect(results.map(r => [r.username, r.finishPosition, r.timeMs, r.failedRows])).toEqual([
+      ['alice', 2, 50000, 3],
+      ['bob', 1, 20000, 1],
+      ['carol', null, null, 6]
+    ]);
+  });
+
+  test('adds the base, guess, speed and finishing bonuses for a solve', () => {
+    const [result] = scoring.scoreRound(room([player('alice', { attempts: 3, seconds: 25, won: true })]));
+
+    expect(result.breakdown).toEqual({
+      base: rules.SOLVE_POINTS,
+      efficiency: 3 * rules.ATTEMPT_BONUS,
+      speed: rules.SPEED_BONUS_MAX - 25 * rules.SPEED_BONUS_DECAY,
+      order: rules.FINISH_ORDER_BONUS[0],
+      penalty: -2 * rules.FAILED_ROW_PENALTY
+    });
+    expect(result.points).toBe(Object.values(result.breakdown).reduce((sum, value) => sum + value, 0));
+  });
+
+  test('never gives a negative speed bonus', () => {
+    const [result] = scoring.scoreRound(room([player('alice', { attempts: 6, seconds: 600, won: true })]));
+
+    expect(result.breakdown.speed).toBe(0);
+  });
+
+  test('only takes the row penalty off a player who did not solve', () => {
+    const [result] = scoring.scoreRound(room([player('alice', { attempts: 6, seconds: 90 })]));
+
+    expect(result.points).toBe(-6 * rules.FAILED_ROW_PENALTY);
+  });
+
+  test('uses a registered strategy named by the room and falls back to standard', () => {
+    scoring.register('flat', result => ({ points: result.solved ? 1 : 0, breakdown: {} }));
+    const players = [player('alice', { attempts: 2, seconds: 5, won: true })];
+
+    expect(scoring.has('flat')).toBe(true);
+    expect(scoring.getStrategyNames()).toEqual(expect.arrayContaining(['standard', 'flat']));
+    expect(scoring.scoreRound(room(players, { scoring: 'flat' }))[0].points).toBe(1);
+    expect(scoring.scoreRound(room(players, { scoring: 'missing' }))[0].points).toBeGreaterThan(1);
+  });
+
+  test('ranks players by score with tied players sharing a rank', () => {
+    const players = [
+      { username: 'alice', score: 120, guesses: [{}, {}] },
+      { username: 'bob', score: 300, guesses: [{}] },
+      { username: 'carol', score: 120, guesses: [{}, {}, {}], knockedOut: true }
+    ];
+
+    expect(scoring.rankPlayers(players, 'bob')).toEqual([
+      { rank: 1, username: 'bob', score: 300, winner: true, knockedOut: false, attempts: 1 },
+      { rank: 2, username: 'alice', score: 120, winner: false, knockedOut: false, attempts: 2 },
+      { rank: 2, username: 'carol', score: 120, winner: false, knockedOut: true, attempts: 3 }
+    ]);
+  });
+});
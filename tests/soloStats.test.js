@@ -0,0 +1,32 @@
+const soloStats = require('../utils/soloStats');
+const roomManager = require('../utils/roomManager');
+
+describe('soloStats.recordGame', () => {
+  const codes = [];
+
+  // A finished solo practice game, solved on the first guess
+  const playSolo = (username, customWord = null) => {
+    const room = roomManager.createRoom(username, 'solo');
+    codes.push(room.code);
+    roomManager.startGame(room.code, customWord, username);
+    roomManager.submitGuess(room.code, username, room.solutionWord);
+    roomManager.finishGame(room.code, username);
+    return room;
+  };
+
+  afterAll(() => {
+    codes.forEach(code => roomManager.deleteRoom(code));
+    roomManager.stopCleanupInterval();
+  });
+
+  test('counts a practice game', async () => {
+    const stats = await soloStats.recordGame(playSolo('quinn'));
+
+    expect(stats.practice).toMatchObject({ gamesPlayed: 1, wins: 1, currentStreak: 1, guessDistribution: { 1: 1 } });
+  });
+
+  test('leaves out a game on a word the player picked', async () => {
+    expect(await soloStats.recordGame(playSolo('rosa', 'CRANE'))).toBeNull();
+    expect(await soloStats.getStats('rosa')).toBeNull();
+  });
+});
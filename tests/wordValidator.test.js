@@ -0,0 +1,77 @@
+const wordValidator = require('../utils/wordValidator');
+
+// Feedback with each word scored against the solution, as stored on a player's guesses
+const scored = (word, solution) => ({ word, feedback: wordValidator.evaluateGuess(word, solution) });
+
+describe('wordValidator.evaluateGuess', () => {
+  test('marks every letter correct for the solution', () => {
+    expect(wordValidator.evaluateGuess('CRANE', 'CRANE')).toEqual(['correct', 'correct', 'correct', 'correct', 'correct']);
+  });
+
+  test('ignores case and surrounding spaces', () => {
+    expect(wordValidator.evaluateGuess(' crane ', 'CRANE')).toEqual(['correct', 'correct', 'correct', 'correct', 'correct']);
+  });
+
+  test('marks a repeated letter present only as often as the solution has it', () => {
+    // ABIDE has one E: the first E of SPEED is present, the second is absent
+    expect(wordValidator.evaluateGuess('SPEED', 'ABIDE')).toEqual(['absent', 'absent', 'present', 'absent', 'present']);
+  });
+
+  test('lets an exact match use up a letter before misplaced copies', () => {
+    // THREE has two Es; the last E of EERIE is exact, which leaves one for the first E
+    expect(wordValidator.evaluateGuess('EERIE', 'THREE')).toEqual(['present', 'absent', 'correct', 'absent', 'correct']);
+  });
+
+  test('marks both copies present when the solution has both', () => {
+    expect(wordValidator.evaluateGuess('LLAMA', 'HELLO')).toEqual(['present', 'present', 'absent', 'absent', 'absent']);
+  });
+
+  test('does not mark a letter present when its only copy is already correct', () => {
+    expect(wordValidator.evaluateGuess('SPOON', 'CROWN')).toEqual(['absent', 'absent', 'correct', 'absent', 'correct']);
+  });
+});
+
+describe('wordValidator.getHardModeViolation', () => {
+  test('allows any guess before there are hints', () => {
+    expect(wordValidator.getHardModeViolation('SLOTH', [])).toBeNull();
+  });
+
+  test('allows a guess that reuses every hint', () => {
+    const guesses = [scored('CRANE', 'CHARM')];
+
+    expect(wordValidator.getHardModeViolation('CHARD', guesses)).toBeNull();
+  });
+
+  test('requires green letters to stay in place', () => {
+    const guesses = [scored('CRANE', 'CHARM')];
+
+    expect(wordValidator.getHardModeViolation('ARCHY', guesses)).toBe('1st letter must be C');
+  });
+
+  test('names the position of a moved green letter', () => {
+    const guesses = [scored('CRANE', 'CHARM')];
+
+    expect(wordValidator.getHardModeViolation('CRAMS', guesses)).toBeNull();
+    expect(wordValidator.getHardModeViolation('CHRAM', guesses)).toBe('3rd letter must be A');
+  });
+
+  test('requires yellow letters to be used', () => {
+    const guesses = [scored('CRANE', 'CHARM')];
+
+    expect(wordValidator.getHardModeViolation('CHAMP', guesses)).toBe('Guess must contain R');
+  });
+
+  test('requires a repeated hint as many times as it was revealed', () => {
+    // Both Es of EERIE are revealed against THREE
+    const guesses = [scored('EERIE', 'THREE')];
+
+    expect(wordValidator.getHardModeViolation('SPRUE', guesses)).toBe('Guess must contain 2 Es');
+    expect(wordValidator.getHardModeViolation('THREE', guesses)).toBeNull();
+  });
+
+  test('skips guesses without feedback, such as timed-out turns', () => {
+    const guesses = [{ word: null, feedback: null, timedOut: true }, scored('CRANE', 'CHARM')];
+
+    expect(wordValidator.getHardModeViolation('CHARD', guesses)).toBeNull();
+  });
+});
@@ -0,0 +1,96 @@
+const bcrypt = require('bcryptjs');
+const logger = require('./logger');
+const playerProfiles = require('./playerProfiles');
+const { AuthenticationError, ConflictError, NotFoundError } = require('../middleware/errorHandler');
+const config = require('../config');
+
+// Registered player accounts, kept in player profiles. Usernames are unique regardless
+// of case; an account keeps the casing the player registered with.
+class Accounts {
+  // The stored profile for a username, or null if nobody registered it
+  async findAccount(username) {
+    const profile = await playerProfiles.get(username);
+    return profile && profile.passwordHash ? profile : null;
+  }
+
+  // Whether a username belongs to a registered account
+  async isRegistered(username) {
+    return Boolean(await this.findAccount(username));
+  }
+
+  // Create an account with a hashed password
+  async register(username, password) {
+    if (username.startsWith('Bot_')) {
+      throw new ConflictError('Usernames starting with "Bot_" are reserved');
+    }
+
+    const passwordHash = await bcrypt.hash(password, config.BCRYPT_ROUNDS);
+    const now = new Date().toISOString();
+
+    // Checked inside the update so two registrations for one name cannot both succeed.
+    // A profile may already exist with stats from guest games under this name; those are kept.
+    const account = await playerProfiles.update(username, profile => {
+      if (profile && profile.passwordHash) {
+        throw new ConflictError('Username is already registered');
+      }
+      return { ...profile, username, passwordHash, createdAt: now, lastLoginAt: now };
+    });
+
+    logger.logGameEvent('account_registered', { username });
+
+    return this.serializeAccount(account);
+  }
+
+  // Check a username and password; the same error is thrown whether the name or the password is wrong
+  async login(username, password) {
+    const account = await this.findAccount(username);
+    const valid = account && await bcrypt.compare(password, account.passwordHash);
+
+    if (!valid) {
+      logger.logGameEvent('account_login_failed', { username });
+      throw new AuthenticationError('Invalid username or password');
+    }
+
+    const updated = await playerProfiles.update(username, profile => ({
+      ...profile,
+      lastLoginAt: new Date().toISOString()
+    }));
+
+    logger.logGameEvent('account_logged_in', { username: updated.username });
+
+    return this.serializeAccount(updated);
+  }
+
+  // Public view of an account by username
+  async getAccount(username) {
+    const account = await this.findAccount(username);
+    if (!account) {
+      throw new NotFoundError('Account not found');
+    }
+    return this.serializeAccount(account);
+  }
+
+  // Resolve the name a player uses in a room: registered users always play under their
+  // account name, guests may not take a name that belongs to an account
+  async resolveUsername(user, requestedName) {
+    if (user) {
+      return user.username;
+    }
+
+    if (await this.isRegistered(requestedName)) {
+      throw new ConflictError('That username belongs to a registered account; log in to use it');
+    }
+    return requestedName;
+  }
+
+  // Account fields that are safe to send to clients
+  serializeAccount(account) {
+    return {
+      username: account.username,
+      createdAt: account.createdAt,
+      lastLoginAt: account.lastLoginAt
+    };
+  }
+}
+
+module.exports = new Accounts();
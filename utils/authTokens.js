@@ -0,0 +1,42 @@
+const jwt = require('jsonwebtoken');
+const config = require('../config');
+
+// Account tokens for registered users. The short-lived access token goes in the
+// Authorization header; the refresh token is only ever sent to /auth/refresh to get a new pair.
+
+// Sign a token of the given type for an account
+const signToken = (username, type, expiresIn) => {
+  return jwt.sign({ username, type }, config.JWT_SECRET, { subject: username, expiresIn });
+};
+
+// Verify a token and check it is of the expected type; throws on bad or expired tokens
+const verifyToken = (token, type) => {
+  if (!token || typeof token !== 'string') {
+    throw new jwt.JsonWebTokenError(`${type} token is required`);
+  }
+
+  const payload = jwt.verify(token, config.JWT_SECRET);
+  if (payload.type !== type || !payload.username) {
+    throw new jwt.JsonWebTokenError(`Invalid ${type} token`);
+  }
+
+  return payload;
+};
+
+// Issue an access and refresh token for an account
+const issueAuthTokens = (username) => ({
+  accessToken: signToken(username, 'access', config.ACCESS_TOKEN_TTL),
+  refreshToken: signToken(username, 'refresh', config.REFRESH_TOKEN_TTL),
+  tokenType: 'Bearer',
+  expiresIn: config.ACCESS_TOKEN_TTL
+});
+
+const verifyAccessToken = (token) => verifyToken(token, 'access');
+
+const verifyRefreshToken = (token) => verifyToken(token, 'refresh');
+
+module.exports = {
+  issueAuthTokens,
+  verifyAccessToken,
+  verifyRefreshToken
+};
@@ -0,0 +1,140 @@
+const wordValidator = require('./wordValidator');
+const config = require('../config');
+
+// Bot names; a number is appended if all of them are taken in a room
+const BOT_NAMES = ['Ada', 'Alan', 'Grace', 'Linus', 'Edsger', 'Barbara', 'Donald', 'Margaret'];
+
+// Feedback pattern as a string, used to bucket candidate solutions
+const patternKey = (guess, solution) => wordValidator.evaluateGuess(guess, solution).join(',');
+
+// Pick up to `size` items spread evenly through a list (deterministic, unlike a random sample)
+const spreadSample = (list, size) => {
+  if (list.length <= size) return list;
+  const step = list.length / size;
+  return Array.from({ length: size }, (_, i) => list[Math.floor(i * step)]);
+};
+
+// Guessing logic for bot players. Bots only ever see what a human sees: the dictionary and
+// the feedback on their own guesses.
+//   easy   - random valid guesses
+//   medium - a random word that fits all the feedback so far
+//   hard   - the guess that splits the remaining candidates most evenly (highest entropy)
+class BotPlayer {
+  constructor() {
+    this.openers = new Map(); // length -> best first guess for hard bots
+  }
+
+  // Bot strengths players can choose from
+  getStrengths() {
+    return ['easy', 'medium', 'hard'];
+  }
+
+  // A bot name not yet used in the room
+  pickName(takenNames) {
+    const free = BOT_NAMES.map(name => `Bot_${name}`).filter(name => !takenNames.includes(name));
+    if (free.length > 0) {
+      return free[Math.floor(Math.random() * free.length)];
+    }
+
+    let n = 1;
+    while (takenNames.includes(`Bot_${n}`)) n++;
+    return `Bot_${n}`;
+  }
+
+  // How long the bot "thinks" before its next guess, kept inside the room's turn time limit (seconds)
+  getThinkTime(strength, turnTimeLimit = null) {
+    let { min, max } = config.BOT_THINK_TIME_MS[strength] || config.BOT_THINK_TIME_MS.medium;
+
+    if (turnTimeLimit) {
+      const cap = turnTimeLimit * 1000 - config.BOT_TURN_MARGIN_MS;
+      min = Math.min(min, cap);
+      max = Math.min(max, cap);
+    }
+    return min + Math.floor(Math.random() * (max - min));
+  }
+
+  // Answers that agree with every piece of feedback received so far
+  getCandidates(guesses, length) {
+    const answers = wordValidator.answersByLength.get(length) || [];
+    const scored = guesses.filter(g => g.word && g.feedback);
+
+    return answers.filter(word => scored.every(g => patternKey(g.word, word) === g.feedback.join(',')));
+  }
+
+  // Expected information (bits) from guessing `guess` when any of `candidates` could be the answer
+  getEntropy(guess, candidates) {
+    const buckets = new Map();
+    candidates.forEach(candidate => {
+      const key = patternKey(guess, candidate);
+      buckets.set(key, (buckets.get(key) || 0) + 1);
+    });
+
+    let entropy = 0;
+    buckets.forEach(count => {
+      const p = count / candidates.length;
+      entropy -= p * Math.log2(p);
+    });
+    return entropy;
+  }
+
+  // The highest-entropy guess, checked against a bounded sample to keep each turn cheap
+  getBestGuess(candidates, guessPool) {
+    const sampledCandidates = spreadSample(candidates, config.BOT_ENTROPY_SAMPLE_SIZE);
+    const sampledGuesses = spreadSample(guessPool, config.BOT_ENTROPY_SAMPLE_SIZE);
+    const candidateSet = new Set(candidates);
+
+    let best = null;
+    let bestScore = -1;
+    sampledGuesses.forEach(guess => {
+      // Prefer guesses that could also be the answer when the split is equal
+      const score = this.getEntropy(guess, sampledCandidates) + (candidateSet.has(guess) ? 0.01 : 0);
+      if (score > bestScore) {
+        best = guess;
+        bestScore = score;
+      }
+    });
+    return best;
+  }
+
+  // Choose the bot's next guess from its own board
+  chooseGuess(guesses, { strength = 'medium', length = config.WORD_LENGTH, hardMode = false } = {}) {
+    const used = new Set(guesses.map(g => g.word).filter(Boolean));
+    const candidates = this.getCandidates(guesses, length).filter(word => !used.has(word));
+    const random = list => list[Math.floor(Math.random() * list.length)];
+
+    if (strength === 'easy') {
+      let pool = Array.from(wordValidator.wordsByLength.get(length) || []).filter(word => !used.has(word));
+      if (hardMode) {
+        pool = pool.filter(word => !wordValidator.getHardModeViolation(word, guesses));
+      }
+      return random(pool.length > 0 ? pool : candidates);
+    }
+
+    if (candidates.length === 0) {
+      // Only possible if the solution is not on the answer list (e.g. a custom word)
+      const pool = Array.from(wordValidator.wordsByLength.get(length) || [])
+        .filter(word => !used.has(word) && !wordValidator.getHardModeViolation(word, guesses));
+      return random(pool);
+    }
+
+    if (strength === 'medium' || candidates.length <= 2) {
+      return random(candidates);
+    }
+
+    // Hard: the first guess is always the same for a given length, so work it out once
+    if (guesses.length === 0) {
+      if (!this.openers.has(length)) {
+        this.openers.set(length, this.getBestGuess(candidates, candidates));
+      }
+      return this.openers.get(length);
+    }
+
+    // In hard mode every guess has to fit the hints, so only candidates are allowed
+    const guessPool = hardMode
+      ? candidates
+      : (wordValidator.answersByLength.get(length) || []).filter(word => !used.has(word));
+    return this.getBestGuess(candidates, guessPool);
+  }
+}
+
+module.exports = new BotPlayer();
@@ -0,0 +1,211 @@
+const logger = require('./logger');
+const wordValidator = require('./wordValidator');
+const roomManager = require('./roomManager');
+const storage = require('../storage');
+const { ConflictError } = require('../middleware/errorHandler');
+const config = require('../config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 32-bit string hash (FNV-1a), used to turn the seed into a number
+const hashString = (str) => {
+  let hash = 2166136261;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+};
+
+// Small seeded PRNG (mulberry32) so the daily order is the same on every server
+const seededRandom = (seed) => {
+  let state = seed;
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// One shared word per UTC day. Each player gets a single single-player room per puzzle,
+// played through the normal socket events, and their result goes on the daily leaderboard.
+// Results live in the storage adapter, so every server process sees the same attempts.
+class DailyChallenge {
+  constructor() {
+    this.order = null; // seeded shuffle of the answer list
+    this.starts = new Map(); // result key -> pending start, so one player can't start twice at once
+    this.prunedDateKey = null; // last day old results were pruned on
+  }
+
+  // UTC date as YYYY-MM-DD
+  getDateKey(date = new Date()) {
+    return new Date(date).toISOString().slice(0, 10);
+  }
+
+  // Puzzle #1 is the epoch day
+  getPuzzleNumber(date = new Date()) {
+    const day = Date.parse(this.getDateKey(date));
+    const epoch = Date.parse(config.DAILY_EPOCH);
+    return Math.floor((day - epoch) / DAY_MS) + 1;
+  }
+
+  // The answer list shuffled once with the configured seed; every word is used before any repeats
+  getOrder() {
+    if (!this.order) {
+      const words = (wordValidator.answersByLength.get(config.WORD_LENGTH) || []).slice().sort();
+      const random = seededRandom(hashString(config.DAILY_SEED));
+
+      for (let i = words.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [words[i], words[j]] = [words[j], words[i]];
+      }
+      this.order = words;
+    }
+    return this.order;
+  }
+
+  // The solution for a given day
+  getWord(date = new Date()) {
+    const order = this.getOrder();
+    const index = (this.getPuzzleNumber(date) - 1) % order.length;
+    return order[(index + order.length) % order.length];
+  }
+
+  // Whether the puzzle for a date can still be played (today's, or a later one)
+  isCurrentPuzzle(date) {
+    return this.getDateKey(date) >= this.getDateKey();
+  }
+
+  // Public puzzle info (never includes the word)
+  async getPuzzle(date = new Date()) {
+    const dateKey = this.getDateKey(date);
+    return {
+      puzzleNumber: this.getPuzzleNumber(date),
+      date: dateKey,
+      wordLength: config.WORD_LENGTH,
+      maxGuesses: config.MAX_GUESSES,
+      players: (await storage.getDailyResults(dateKey)).length,
+      nextPuzzleAt: new Date(Date.parse(dateKey) + DAY_MS).toISOString()
+    };
+  }
+
+  // Storage key for a player's result, so one attempt covers every casing of a name
+  resultKey(username) {
+    return username.toLowerCase();
+  }
+
+  // Start (or resume) today's puzzle for a player; finished players cannot play again
+  startAttempt(username) {
+    const key = this.resultKey(username);
+    if (this.starts.has(key)) {
+      return this.starts.get(key);
+    }
+
+    const start = this.createAttempt(username).finally(() => this.starts.delete(key));
+    this.starts.set(key, start);
+    return start;
+  }
+
+  // Resume or create a player's attempt at today's puzzle (through startAttempt only)
+  async createAttempt(username) {
+    const dateKey = this.getDateKey();
+    await this.pruneResults(dateKey);
+
+    const existing = await storage.getDailyResult(dateKey, this.resultKey(username));
+
+    if (existing) {
+      const room = roomManager.getRoom(existing.roomCode);
+      if (existing.status === 'playing' && room && room.status === 'playing') {
+        return { room, result: existing, resumed: true };
+      }
+      throw new ConflictError('You have already played today\'s puzzle');
+    }
+
+    const room = roomManager.createRoom(username, 'daily');
+    roomManager.startGame(room.code, this.getWord(), username);
+
+    const result = {
+      username,
+      puzzleNumber: this.getPuzzleNumber(),
+      roomCode: room.code,
+      status: 'playing',
+      guesses: null,
+      timeMs: null,
+      startedAt: room.gameStartTime,
+      finishedAt: null
+    };
+    await storage.saveDailyResult(dateKey, this.resultKey(username), result);
+
+    logger.logGameEvent('daily_started', { username, puzzleNumber: result.puzzleNumber, roomCode: room.code });
+
+    return { room, result, resumed: false };
+  }
+
+  // Store how a player's daily room ended
+  async recordResult(room, username) {
+    const player = room.players.find(p => p.username === username);
+    if (!player) return null;
+
+    // The attempt is filed under the day it started, which may be yesterday if the game ran over midnight
+    const startedAt = new Date(room.gameStartTime);
+    const dateKeys = [this.getDateKey(startedAt), this.getDateKey(startedAt - DAY_MS)];
+
+    for (const dateKey of dateKeys) {
+      const result = await storage.getDailyResult(dateKey, this.resultKey(username));
+      if (!result || result.roomCode !== room.code || result.status !== 'playing') continue;
+
+      result.status = player.won ? 'solved' : 'failed';
+      result.guesses = player.guesses.length;
+      result.finishedAt = new Date();
+      result.timeMs = result.finishedAt - new Date(result.startedAt);
+      await storage.saveDailyResult(dateKey, this.resultKey(username), result);
+
+      logger.logGameEvent('daily_finished', {
+        username,
+        puzzleNumber: result.puzzleNumber,
+        status: result.status,
+        guesses: result.guesses
+      });
+
+      return result;
+    }
+
+    return null;
+  }
+
+  // Finished results ranked by guesses, then time; failed attempts go last
+  async getLeaderboard(date = new Date(), limit = config.DAILY_LEADERBOARD_LIMIT) {
+    const dateKey = this.getDateKey(date);
+    const results = (await storage.getDailyResults(dateKey))
+      .filter(r => r.status !== 'playing')
+      .sort((a, b) => {
+        if (a.status !== b.status) return a.status === 'solved' ? -1 : 1;
+        return a.guesses - b.guesses || a.timeMs - b.timeMs;
+      });
+
+    return {
+      puzzleNumber: this.getPuzzleNumber(date),
+      date: dateKey,
+      entries: results.slice(0, limit).map((r, i) => ({
+        rank: i + 1,
+        username: r.username,
+        solved: r.status === 'solved',
+        guesses: r.guesses,
+        timeMs: r.timeMs
+      })),
+      totalPlayers: results.length
+    };
+  }
+
+  // Forget results older than DAILY_RESULTS_DAYS, once per day
+  async pruneResults(dateKey) {
+    if (this.prunedDateKey === dateKey) return;
+    this.prunedDateKey = dateKey;
+
+    const cutoff = this.getDateKey(Date.parse(dateKey) - config.DAILY_RESULTS_DAYS * DAY_MS);
+    await storage.pruneDailyResults(cutoff);
+  }
+}
+
+module.exports = new DailyChallenge();
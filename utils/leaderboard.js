@@ -0,0 +1,155 @@
+const logger = require('./logger');
+const storage = require('../storage');
+const config = require('../config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How far back each period reaches; 'all' has no cutoff
+const PERIODS = {
+  day: DAY_MS,
+  week: 7 * DAY_MS,
+  month: 30 * DAY_MS,
+  all: null
+};
+
+// Ranking metrics: which players qualify and how they are ordered (ties fall back to wins, then name)
+const METRICS = {
+  wins: {
+    qualifies: entry => entry.wins > 0,
+    compare: (a, b) => b.wins - a.wins || b.winRate - a.winRate
+  },
+  winRate: {
+    qualifies: entry => entry.gamesPlayed >= config.LEADERBOARD_MIN_GAMES,
+    compare: (a, b) => b.winRate - a.winRate || b.gamesPlayed - a.gamesPlayed
+  },
+  fastest: {
+    qualifies: entry => entry.fastestSolveMs !== null,
+    compare: (a, b) => a.fastestSolveMs - b.fastestSolveMs
+  },
+  streak: {
+    qualifies: entry => entry.bestStreak > 0,
+    compare: (a, b) => b.bestStreak - a.bestStreak
+  }
+};
+
+// Rankings computed from archived games. `rank` is a pure function of a list of game
+// records, so it can be checked against a fixed dataset; `getLeaderboard` adds the
+// storage lookup and a short-lived cache per mode and period.
+class Leaderboard {
+  constructor() {
+    this.cache = new Map(); // mode:period -> { expiresAt, entries: Promise }
+  }
+
+  getPeriods() {
+    return Object.keys(PERIODS);
+  }
+
+  getMetrics() {
+    return Object.keys(METRICS);
+  }
+
+  // Oldest finish time included in a period, or null for all time
+  getPeriodStart(period, now = Date.now()) {
+    const span = PERIODS[period];
+    return span ? new Date(now - span) : null;
+  }
+
+  // Per-player totals from game records (any order); bots, solo sprints and custom-word games are left out
+  aggregate(games, mode = 'all') {
+    const players = new Map();
+
+    games
+      .filter(game => (mode === 'all' || game.mode === mode) && !(game.settings && game.settings.sprintDuration))
+      .filter(game => !game.customWord)
+      .sort((a, b) => new Date(a.finishedAt) - new Date(b.finishedAt))
+      .forEach(game => {
+        game.players.filter(p => !p.isBot).forEach(p => {
+          const entry = players.get(p.username) || {
+            username: p.username,
+            gamesPlayed: 0,
+            wins: 0,
+            currentStreak: 0,
+            bestStreak: 0,
+            fastestSolveMs: null
+          };
+
+          entry.gamesPlayed++;
+          if (p.won) {
+            entry.wins++;
+            entry.currentStreak++;
+            entry.bestStreak = Math.max(entry.bestStreak, entry.currentStreak);
+          } else {
+            entry.currentStreak = 0;
+          }
+
+          if (p.solved && typeof p.solveTimeMs === 'number') {
+            entry.fastestSolveMs = entry.fastestSolveMs === null
+              ? p.solveTimeMs
+              : Math.min(entry.fastestSolveMs, p.solveTimeMs);
+          }
+
+          players.set(p.username, entry);
+        });
+      });
+
+    return Array.from(players.values()).map(entry => ({
+      ...entry,
+      winRate: Math.round((entry.wins / entry.gamesPlayed) * 100)
+    }));
+  }
+
+  // Order aggregated players by a metric and number them
+  rankEntries(entries, metric = 'wins') {
+    const { qualifies, compare } = METRICS[metric];
+
+    return entries
+      .filter(qualifies)
+      .sort((a, b) => compare(a, b) || b.wins - a.wins || a.username.localeCompare(b.username))
+      .map((entry, i) => ({ rank: i + 1, ...entry }));
+  }
+
+  // Full ranking for a set of game records
+  rank(games, { mode = 'all', metric = 'wins' } = {}) {
+    return this.rankEntries(this.aggregate(games, mode), metric);
+  }
+
+  // Aggregated players for a mode and period, read from storage at most once per cache TTL
+  getEntries(mode, period) {
+    const key = `${mode}:${period}`;
+    const cached = this.cache.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.entries;
+    }
+
+    const entries = storage.getGameHistory({ limit: Infinity, since: this.getPeriodStart(period) })
+      .then(games => {
+        logger.logGameEvent('leaderboard_computed', { mode, period, games: games.length });
+        return this.aggregate(games, mode);
+      });
+
+    this.cache.set(key, { expiresAt: Date.now() + config.LEADERBOARD_CACHE_TTL_MS, entries });
+    // Don't keep a failed lookup around
+    entries.catch(() => this.cache.delete(key));
+
+    return entries;
+  }
+
+  // One page of a leaderboard
+  async getLeaderboard({ mode = 'all', period = 'all', metric = 'wins', page = 1, limit = config.LEADERBOARD_PAGE_SIZE } = {}) {
+    const ranked = this.rankEntries(await this.getEntries(mode, period), metric);
+    const start = (page - 1) * limit;
+
+    return {
+      mode,
+      period,
+      metric,
+      entries: ranked.slice(start, start + limit).map(({ currentStreak, ...entry }) => entry),
+      page,
+      limit,
+      totalPlayers: ranked.length,
+      totalPages: Math.ceil(ranked.length / limit)
+    };
+  }
+}
+
+module.exports = new Leaderboard();
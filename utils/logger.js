@@ -97,7 +97,10 @@ logger.logError = (error, req = null) => {
     code: error.code
   };
   
-  if (req) {
+  // Socket handlers pass a plain context object instead of an Express request
+  if (req && typeof req.get !== 'function') {
+    logData.context = req;
+  } else if (req) {
     logData.request = {
       method: req.method,
       url: req.url,
@@ -0,0 +1,161 @@
+const EventEmitter = require('events');
+const logger = require('./logger');
+const roomManager = require('./roomManager');
+const { ValidationError, ConflictError } = require('../middleware/errorHandler');
+const config = require('../config');
+
+// Quick play queue. Waiting players are grouped by mode and matched with players of a
+// similar rating; the accepted rating gap widens the longer someone waits. A match creates
+// the room through RoomManager and emits 'match' ({ room, entries }) for the socket layer,
+// or 'matchFailed' ({ entries, error }) if the room could not be set up.
+// The queue is per process: in a cluster each worker matches the sockets connected to it.
+class Matchmaker extends EventEmitter {
+  constructor() {
+    super();
+    this.queue = new Map(); // socketId -> { socketId, username, mode, rating, joinedAt }
+    this.tickInterval = null;
+  }
+
+  // Modes players can queue for
+  getModes() {
+    return Object.keys(config.QUEUE_MATCH_SIZES);
+  }
+
+  // Put a player in the queue; call matchPlayers(mode) afterwards to look for a match
+  join(socketId, { username, mode = 'duel', rating = config.RATING_INITIAL }) {
+    if (!this.getModes().includes(mode)) {
+      throw new ValidationError(`Quick play is available for ${this.getModes().join(', ')}`);
+    }
+
+    const existing = this.findByUsername(username);
+    if (existing && existing.socketId !== socketId) {
+      throw new ConflictError('This player is already in the queue');
+    }
+
+    const entry = { socketId, username, mode, rating, joinedAt: Date.now() };
+    this.queue.set(socketId, entry);
+
+    logger.logGameEvent('queue_joined', { username, mode, rating, waiting: this.getQueueSize(mode) });
+
+    this.startTicking();
+
+    return entry;
+  }
+
+  // Take a socket out of the queue; returns its entry, if it was waiting
+  leave(socketId) {
+    const entry = this.queue.get(socketId);
+    if (!entry) return null;
+
+    this.queue.delete(socketId);
+    if (this.queue.size === 0) {
+      this.stopTicking();
+    }
+
+    logger.logGameEvent('queue_left', { username: entry.username, mode: entry.mode });
+    return entry;
+  }
+
+  findByUsername(username) {
+    return Array.from(this.queue.values()).find(entry => entry.username === username) || null;
+  }
+
+  getEntry(socketId) {
+    return this.queue.get(socketId) || null;
+  }
+
+  // Players waiting for a mode
+  getQueueSize(mode) {
+    return Array.from(this.queue.values()).filter(entry => entry.mode === mode).length;
+  }
+
+  // Rating difference a player accepts after waiting until `now`
+  getRatingGap(entry, now = Date.now()) {
+    const steps = Math.floor((now - entry.joinedAt) / config.QUEUE_RATING_GAP_INTERVAL_MS);
+    return config.QUEUE_RATING_GAP + steps * config.QUEUE_RATING_GAP_STEP;
+  }
+
+  // A group is acceptable when its rating spread is within every member's gap
+  isAcceptable(group, now) {
+    const ratings = group.map(entry => entry.rating);
+    const spread = Math.max(...ratings) - Math.min(...ratings);
+    return group.every(entry => spread <= this.getRatingGap(entry, now));
+  }
+
+  // Match as many waiting players of a mode as possible, longest-waiting first
+  matchPlayers(mode) {
+    const size = config.QUEUE_MATCH_SIZES[mode];
+    const now = Date.now();
+    const waiting = Array.from(this.queue.values())
+      .filter(entry => entry.mode === mode)
+      .sort((a, b) => a.joinedAt - b.joinedAt);
+    const matched = new Set();
+    const matches = [];
+
+    waiting.forEach(anchor => {
+      if (matched.has(anchor)) return;
+
+      // Build a group around the anchor from the closest ratings outwards
+      const group = [anchor];
+      waiting
+        .filter(entry => entry !== anchor && !matched.has(entry))
+        .sort((a, b) => Math.abs(a.rating - anchor.rating) - Math.abs(b.rating - anchor.rating))
+        .forEach(entry => {
+          if (group.length < size && this.isAcceptable([...group, entry], now)) {
+            group.push(entry);
+          }
+        });
+
+      if (group.length === size) {
+        group.forEach(entry => matched.add(entry));
+        matches.push(group);
+      }
+    });
+
+    return matches.map(entries => this.createMatch(mode, entries)).filter(Boolean);
+  }
+
+  // Open a room for a matched group; the longest-waiting player hosts it
+  createMatch(mode, entries) {
+    entries.forEach(entry => this.leave(entry.socketId));
+
+    const [host, ...others] = entries;
+    let room;
+    try {
+      room = roomManager.createRoom(host.username, mode);
+      others.forEach(entry => roomManager.addPlayerToRoom(room.code, entry.username));
+    } catch (error) {
+      // Should not happen for a fresh room; tell the players rather than leave them waiting
+      logger.logError(error, { mode, players: entries.map(e => e.username), operation: 'create_match' });
+      if (room) roomManager.deleteRoom(room.code);
+      this.emit('matchFailed', { entries, error });
+      return null;
+    }
+
+    logger.logGameEvent('match_found', {
+      roomCode: room.code,
+      mode,
+      players: entries.map(e => ({ username: e.username, rating: e.rating, waitedMs: Date.now() - e.joinedAt }))
+    });
+
+    this.emit('match', { room, entries });
+    return { room, entries };
+  }
+
+  // Re-check the queue regularly so widening gaps can produce matches
+  startTicking() {
+    if (this.tickInterval) return;
+    this.tickInterval = setInterval(() => {
+      this.getModes().forEach(mode => this.matchPlayers(mode));
+    }, config.QUEUE_TICK_MS);
+  }
+
+  stopTicking() {
+    if (this.tickInterval) {
+      clearInterval(this.tickInterval);
+      this.tickInterval = null;
+    }
+  }
+}
+
+module.exports = new Matchmaker();
@@ -0,0 +1,41 @@
+const storage = require('../storage');
+
+// Player profiles in the storage adapter. One profile per username, regardless of case,
+// holds both the account (if the player registered) and their lifetime stats.
+class PlayerProfiles {
+  constructor() {
+    this.updates = new Map(); // key -> last queued update, so two updates never overwrite each other
+  }
+
+  // Storage key for a username
+  profileKey(username) {
+    return username.toLowerCase();
+  }
+
+  // A player's profile, or null
+  async get(username) {
+    return storage.getPlayer(this.profileKey(username));
+  }
+
+  // Read, change and save a profile one update at a time per player.
+  // `mutate` gets the current profile (or null) and returns the profile to save.
+  update(username, mutate) {
+    const key = this.profileKey(username);
+    const previous = this.updates.get(key) || Promise.resolve();
+
+    const next = previous.catch(() => {}).then(async () => {
+      const profile = await mutate(await storage.getPlayer(key));
+      await storage.savePlayer(key, profile);
+      return profile;
+    });
+
+    this.updates.set(key, next);
+    next.finally(() => {
+      if (this.updates.get(key) === next) this.updates.delete(key);
+    }).catch(() => {});
+
+    return next;
+  }
+}
+
+module.exports = new PlayerProfiles();
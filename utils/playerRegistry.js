@@ -0,0 +1,74 @@
+const logger = require('./logger');
+
+// Keeps track of which player each connected socket belongs to
+class PlayerRegistry {
+  constructor() {
+    this.sockets = new Map(); // socketId -> { username, roomCode }
+    this.players = new Map(); // roomCode:username -> socketId
+  }
+
+  // Key for the player lookup map
+  playerKey(roomCode, username) {
+    return `${roomCode}:${username}`;
+  }
+
+  // Bind a socket to a player, replacing any older socket for the same player
+  bind(socketId, username, roomCode) {
+    this.unbind(socketId);
+
+    const key = this.playerKey(roomCode, username);
+    const previousSocketId = this.players.get(key);
+    if (previousSocketId && previousSocketId !== socketId) {
+      this.sockets.delete(previousSocketId);
+    }
+
+    this.sockets.set(socketId, { username, roomCode });
+    this.players.set(key, socketId);
+
+    logger.logGameEvent('socket_bound', { socketId, username, roomCode });
+  }
+
+  // Remove a socket binding; returns the binding that was removed, if any
+  unbind(socketId) {
+    const binding = this.sockets.get(socketId);
+    if (!binding) return null;
+
+    this.sockets.delete(socketId);
+
+    // Only drop the player entry if it still points at this socket
+    const key = this.playerKey(binding.roomCode, binding.username);
+    if (this.players.get(key) === socketId) {
+      this.players.delete(key);
+    }
+
+    return binding;
+  }
+
+  // Remove whatever socket is bound to a player
+  unbindPlayer(roomCode, username) {
+    const socketId = this.getSocketId(roomCode, username);
+    return socketId ? this.unbind(socketId) : null;
+  }
+
+  // Get the player a socket belongs to
+  getBySocket(socketId) {
+    return this.sockets.get(socketId) || null;
+  }
+
+  // Get the socket currently bound to a player
+  getSocketId(roomCode, username) {
+    return this.players.get(this.playerKey(roomCode, username)) || null;
+  }
+
+  // Check if a player has a live socket
+  isConnected(roomCode, username) {
+    return this.players.has(this.playerKey(roomCode, username));
+  }
+
+  // Get total bound socket count
+  getBoundSocketCount() {
+    return this.sockets.size;
+  }
+}
+
+module.exports = new PlayerRegistry();
@@ -0,0 +1,114 @@
+const logger = require('./logger');
+const playerProfiles = require('./playerProfiles');
+const roomManager = require('./roomManager');
+
+// Lifetime statistics for every player, guests included, kept in their player profile.
+// Sprints are left out: they span many words and have their own records in soloStats.
+// So are games on a host's custom word, since the host knew the answer.
+class PlayerStats {
+  // Empty stats for a player
+  createStats() {
+    return {
+      gamesPlayed: 0,
+      wins: 0,
+      currentStreak: 0,
+      maxStreak: 0,
+      guessDistribution: {}, // attempts -> words solved in that many guesses
+      modes: {} // mode -> { gamesPlayed, wins, solves, totalSolveTimeMs }
+    };
+  }
+
+  // How one player's game went, taken from their guesses in the room
+  getGameResult(room, player, winner) {
+    return {
+      won: player.username === winner,
+      solved: player.won,
+      attempts: player.guesses.length,
+      solveTimeMs: roomManager.getSolveTime(room, player)
+    };
+  }
+
+  // Fold a finished game into the stats of every human player in it
+  recordGame(room, winner) {
+    if (room.sprint || room.customWord) return Promise.resolve([]);
+
+    const players = room.players.filter(p => !p.isBot);
+
+    return Promise.all(players.map(player => {
+      const result = this.getGameResult(room, player, winner);
+
+      return playerProfiles.update(player.username, profile => {
+        const stats = (profile && profile.stats) || this.createStats();
+        const mode = stats.modes[room.mode] || { gamesPlayed: 0, wins: 0, solves: 0, totalSolveTimeMs: 0 };
+
+        stats.gamesPlayed++;
+        mode.gamesPlayed++;
+
+        if (result.won) {
+          stats.wins++;
+          stats.currentStreak++;
+          stats.maxStreak = Math.max(stats.maxStreak, stats.currentStreak);
+          mode.wins++;
+        } else {
+          stats.currentStreak = 0;
+        }
+
+        if (result.solved) {
+          stats.guessDistribution[result.attempts] = (stats.guessDistribution[result.attempts] || 0) + 1;
+          if (result.solveTimeMs !== null) {
+            mode.solves++;
+            mode.totalSolveTimeMs += result.solveTimeMs;
+          }
+        }
+
+        stats.modes[room.mode] = mode;
+        stats.lastPlayedAt = new Date().toISOString();
+
+        return { username: player.username, ...profile, stats };
+      });
+    }))
+      .then(profiles => {
+        logger.logGameEvent('player_stats_recorded', {
+          roomCode: room.code,
+          players: players.map(p => p.username)
+        });
+        return profiles;
+      })
+      .catch(error => {
+        logger.logError(error, { roomCode: room.code, operation: 'record_player_stats' });
+        return [];
+      });
+  }
+
+  // Public view of a player's stats, or null if they have never finished a game
+  async getStats(username) {
+    const profile = await playerProfiles.get(username);
+    if (!profile || !profile.stats) return null;
+
+    const { stats } = profile;
+    const modes = {};
+    Object.entries(stats.modes).forEach(([name, mode]) => {
+      modes[name] = {
+        gamesPlayed: mode.gamesPlayed,
+        wins: mode.wins,
+        winRate: mode.gamesPlayed > 0 ? Math.round((mode.wins / mode.gamesPlayed) * 100) : 0,
+        averageSolveTimeMs: mode.solves > 0 ? Math.round(mode.totalSolveTimeMs / mode.solves) : null
+      };
+    });
+
+    return {
+      username: profile.username,
+      registered: Boolean(profile.passwordHash),
+      gamesPlayed: stats.gamesPlayed,
+      wins: stats.wins,
+      winRate: stats.gamesPlayed > 0 ? Math.round((stats.wins / stats.gamesPlayed) * 100) : 0,
+      currentStreak: stats.currentStreak,
+      maxStreak: stats.maxStreak,
+      guessDistribution: stats.guessDistribution,
+      modes,
+      lastPlayedAt: stats.lastPlayedAt
+    };
+  }
+}
+
+module.exports = new PlayerStats();
@@ -0,0 +1,136 @@
+const logger = require('./logger');
+const playerProfiles = require('./playerProfiles');
+const config = require('../config');
+
+// Elo skill ratings for duels between two human players, kept in player profiles.
+// Ratings are also cached in memory so new room players can be given theirs synchronously;
+// routes call load() first so the cache is fresh when a player enters a room.
+class Ratings {
+  constructor() {
+    this.cache = new Map(); // lowercased username -> rating
+  }
+
+  // Rating state for a player who has never played a rated duel
+  createRating() {
+    return {
+      rating: config.RATING_INITIAL,
+      peakRating: config.RATING_INITIAL,
+      ratedGames: 0,
+      history: [] // newest first
+    };
+  }
+
+  // The last known rating for a username, or the starting rating
+  getCachedRating(username) {
+    const rating = this.cache.get(username.toLowerCase());
+    return rating === undefined ? config.RATING_INITIAL : rating;
+  }
+
+  // Read a player's rating state from their profile and refresh the cache
+  async load(username) {
+    const profile = await playerProfiles.get(username);
+    const state = (profile && profile.rating) || this.createRating();
+    this.cache.set(username.toLowerCase(), state.rating);
+    return state;
+  }
+
+  // Chance that a player rated `rating` beats one rated `opponentRating`
+  getExpectedScore(rating, opponentRating) {
+    return 1 / (1 + Math.pow(10, (opponentRating - rating) / 400));
+  }
+
+  // K-factor for a player, higher while they are still provisional
+  getKFactor(state) {
+    return state.ratedGames < config.RATING_PROVISIONAL_GAMES
+      ? config.RATING_PROVISIONAL_K_FACTOR
+      : config.RATING_K_FACTOR;
+  }
+
+  // Update both players' ratings after a finished duel (winner null = draw).
+  // Resolves with one change per player, or null if the game is not rated.
+  // Duels on a host's custom word are not rated: the host knew the answer.
+  async recordDuel(room, winner) {
+    const players = room.players.filter(p => !p.isBot);
+    if (room.mode !== 'duel' || room.customWord || room.players.length !== 2 || players.length !== 2) {
+      return null;
+    }
+
+    const [first, second] = await Promise.all(players.map(p => this.load(p.username)));
+    const states = [first, second];
+    const finishedAt = new Date().toISOString();
+
+    const changes = players.map((player, i) => {
+      const state = states[i];
+      const opponentState = states[1 - i];
+      const opponent = players[1 - i];
+      const score = winner === null ? 0.5 : (winner === player.username ? 1 : 0);
+      const expected = this.getExpectedScore(state.rating, opponentState.rating);
+      const change = Math.round(this.getKFactor(state) * (score - expected));
+
+      return {
+        username: player.username,
+        opponent: opponent.username,
+        opponentRating: opponentState.rating,
+        result: score === 1 ? 'win' : (score === 0 ? 'loss' : 'draw'),
+        ratingBefore: state.rating,
+        rating: state.rating + change,
+        change
+      };
+    });
+
+    await Promise.all(changes.map(change => playerProfiles.update(change.username, profile => {
+      // Apply the change to whatever is stored now, in case another duel finished meanwhile
+      const state = (profile && profile.rating) || this.createRating();
+      const rating = state.rating + change.change;
+
+      change.rating = rating;
+      this.cache.set(change.username.toLowerCase(), rating);
+
+      return {
+        username: change.username,
+        ...profile,
+        rating: {
+          rating,
+          peakRating: Math.max(state.peakRating, rating),
+          ratedGames: state.ratedGames + 1,
+          history: [{
+            roomCode: room.code,
+            opponent: change.opponent,
+            opponentRating: change.opponentRating,
+            result: change.result,
+            ratingBefore: state.rating,
+            rating,
+            change: change.change,
+            finishedAt
+          }, ...state.history].slice(0, config.RATING_HISTORY_LIMIT)
+        }
+      };
+    })));
+
+    logger.logGameEvent('duel_rated', {
+      roomCode: room.code,
+      changes: changes.map(c => ({ username: c.username, rating: c.rating, change: c.change }))
+    });
+
+    return changes;
+  }
+
+  // Public view of a player's rating
+  async getRating(username) {
+    const state = await this.load(username);
+    return {
+      rating: state.rating,
+      peakRating: state.peakRating,
+      ratedGames: state.ratedGames,
+      provisional: state.ratedGames < config.RATING_PROVISIONAL_GAMES
+    };
+  }
+
+  // A player's recent rating changes, newest first
+  async getHistory(username) {
+    const state = await this.load(username);
+    return state.history;
+  }
+}
+
+module.exports = new Ratings();
@@ -1,10 +1,25 @@
+const EventEmitter = require('events');
 const logger = require('./logger');
+const wordValidator = require('./wordValidator');
+const scoring = require('./scoring');
+const botPlayer = require('./botPlayer');
+const ratings = require('./ratings');
+const storage = require('../storage');
+const { isLocalStickyKey } = require('../scaling/sticky');
 const config = require('../config');
+const { ValidationError, GuessRejectedError, AuthorizationError, NotFoundError } = require('../middleware/errorHandler');
 
-class RoomManager {
+// Live rooms are kept in memory and written through to the storage adapter.
+// Emits 'roomChanged' (room) after every change, 'roomDeleted' (code) so socket handlers can
+// release per-room resources, and 'roomRestored' (room) for every room this process owns that
+// comes back after a restart, from storage or from another worker's copy.
+class RoomManager extends EventEmitter {
   constructor() {
+    super();
     this.rooms = new Map();
+    this.savedActivity = new Map(); // code -> lastActivity of the last snapshot written
     this.cleanupInterval = null;
+    this.flushInterval = null;
     this.startCleanupInterval();
   }
 
@@ -12,8 +27,9 @@ class RoomManager {
   generateRoomCode() {
     let code;
     let attempts = 0;
-    const maxAttempts = 100;
+    const maxAttempts = 1000;
 
+    // In a cluster, only use codes whose connections are routed to this worker
     do {
       code = Math.random().toString(36).substring(2, 8).toUpperCase();
       attempts++;
@@ -21,48 +37,142 @@ class RoomManager {
       if (attempts > maxAttempts) {
         throw new Error('Unable to generate unique room code');
       }
-    } while (this.rooms.has(code));
+    } while (this.rooms.has(code) || !this.ownsRoom(code));
 
     return code;
   }
 
+  // Whether this process may change a room. In a cluster that is only the worker the room's
+  // connections are routed to; the others hold read-only copies kept up to date by room sync.
+  ownsRoom(code) {
+    return isLocalStickyKey(`room:${code}`);
+  }
+
+  // Build a fresh player record
+  createPlayer(username) {
+    return {
+      id: username,
+      username: username,
+      score: 0,
+      eliminated: false,
+      guesses: [],
+      won: false,
+      connected: false,
+      seriesWins: 0,
+      totalScore: 0,
+      rating: ratings.getCachedRating(username),
+      joinedAt: new Date()
+    };
+  }
+
   // Create a new room
-  createRoom(username, mode = 'duel') {
+  createRoom(username, mode = 'duel', options = {}) {
     const code = this.generateRoomCode();
     
     const room = {
       code,
       hostId: username,
-      players: [{ 
-        id: username, 
-        username: username, 
-        score: 0, 
-        eliminated: false,
-        guesses: [],
-        won: false,
-        joinedAt: new Date()
-      }],
+      players: [this.createPlayer(username)],
       solutionWord: '',
+      customWord: false, // the host picked the current word, so the game counts towards no stats
       status: 'waiting',
+      locked: false,
+      kickedPlayers: [],
+      spectators: [], // socket ids watching the room; they never take a player slot
+      rematchVotes: [],
+      recentWords: [],
+      scoreHistory: [], // final points of every player in every finished game
+      scoreboard: null,
       mode: mode,
-      maxPlayers: mode === 'duel' ? config.DUEL_MAX_PLAYERS : config.BATTLE_ROYALE_MAX_PLAYERS,
+      maxPlayers: this.getModeMaxPlayers(mode),
       gameStartTime: null,
       roundNumber: 1,
+      series: this.createSeries(),
       createdAt: new Date(),
       lastActivity: new Date(),
+      version: 0, // bumped on every change, so replicas can tell which copy is newer
       settings: {
         allowCustomWords: true,
-        maxGuesses: config.MAX_GUESSES,
-        wordLength: config.WORD_LENGTH
+        maxGuesses: options.maxGuesses || config.MAX_GUESSES,
+        wordLength: options.wordLength || config.WORD_LENGTH,
+        bestOf: 1,
+        allowFreeformGuesses: false, // accept any letters, not just dictionary words
+        hardMode: !!options.hardMode, // revealed hints must be used in later guesses
+        turnTimeLimit: null, // seconds per guess, null for no limit
+        gameTimeLimit: null, // seconds for the whole game, null for no limit
+        timeoutAction: 'forfeit_attempt', // or 'eliminate' when a turn timer runs out
+        difficulty: null, // 1-3 to restrict answers, null for any
+        scoring: 'standard', // registered scoring system, see utils/scoring.js
+        sprintDuration: mode === 'solo' ? (options.sprintDuration || null) : null, // solo only, seconds
+        // 'public' rooms are listed in the lobby; single-player rooms never are
+        visibility: config.SINGLE_PLAYER_MODES.includes(mode) ? 'private' : (options.visibility || 'private')
       }
     };
     
     this.rooms.set(code, room);
-    logger.logRoomEvent('room_created', code, { username, mode });
+    this.touch(room);
+    this.persistRoom(room);
+    logger.logRoomEvent('room_created', code, { username, mode, settings: room.settings });
     
     return room;
   }
 
+  // Record a change to a room
+  touch(room) {
+    room.lastActivity = new Date();
+    room.version = (room.version || 0) + 1;
+    this.emit('roomChanged', room);
+  }
+
+  // Take a newer copy of a room from another worker (see scaling/roomSync.js).
+  // The live object is updated in place so handlers holding a reference see the change.
+  // The owner's copy is the real one, so it is never overwritten from elsewhere.
+  applyRemoteRoom(snapshot) {
+    const local = this.rooms.get(snapshot.code);
+    if (local && (this.ownsRoom(snapshot.code) || (local.version || 0) >= snapshot.version)) return false;
+
+    // An owner without a copy has restarted: take the room back like one loaded from storage
+    if (!local && this.ownsRoom(snapshot.code)) {
+      const room = this.reviveRoom(snapshot);
+      this.rooms.set(room.code, room);
+      this.touch(room);
+
+      logger.logRoomEvent('room_restored', room.code, { status: room.status, playerCount: room.players.length, from: 'sync' });
+      this.emit('roomRestored', room);
+      return true;
+    }
+
+    const room = this.reviveDates(snapshot);
+    if (local) {
+      Object.keys(local).forEach(key => {
+        if (!(key in room)) delete local[key];
+      });
+      Object.assign(local, room);
+    } else {
+      this.rooms.set(room.code, room);
+    }
+    return true;
+  }
+
+  // Forget a room another worker deleted, without announcing it again
+  applyRemoteDelete(code) {
+    if (!this.rooms.delete(code)) return false;
+    this.savedActivity.delete(code);
+    this.emit('roomDeleted', code, { remote: true });
+    return true;
+  }
+
+  // Player cap for a game mode
+  getModeMaxPlayers(mode) {
+    if (config.SINGLE_PLAYER_MODES.includes(mode)) return 1;
+    return mode === 'duel' ? config.DUEL_MAX_PLAYERS : config.BATTLE_ROYALE_MAX_PLAYERS;
+  }
+
+  // Players needed before a game in this mode can start
+  getModeMinPlayers(mode) {
+    return config.SINGLE_PLAYER_MODES.includes(mode) ? 1 : config.MIN_PLAYERS;
+  }
+
   // Get room by code
   getRoom(code) {
     return this.rooms.get(code);
@@ -84,6 +194,14 @@ class RoomManager {
       throw new Error('Game already in progress');
     }
 
+    if (room.locked) {
+      throw new AuthorizationError('Room is locked by the host');
+    }
+
+    if (room.kickedPlayers.includes(username)) {
+      throw new AuthorizationError('You were removed from this room by the host');
+    }
+
     if (room.players.length >= room.maxPlayers) {
       throw new Error(`Room is full (${room.maxPlayers} players max)`);
     }
@@ -92,24 +210,99 @@ class RoomManager {
       throw new Error('Username already taken in this room');
     }
 
-    const player = {
-      id: username,
-      username: username,
-      score: 0,
-      eliminated: false,
-      guesses: [],
-      won: false,
-      joinedAt: new Date()
-    };
-
-    room.players.push(player);
-    room.lastActivity = new Date();
+    room.players.push(this.createPlayer(username));
+    this.touch(room);
     
     logger.logRoomEvent('player_joined', code, { username, totalPlayers: room.players.length });
     
     return room;
   }
 
+  // Let a socket watch a room. Spectators can join at any time, even mid-game, and do not count
+  // towards maxPlayers; single-player rooms cannot be watched.
+  addSpectator(code, spectatorId) {
+    const room = this.rooms.get(code);
+    if (!room) {
+      throw new NotFoundError('Room not found');
+    }
+
+    if (config.SINGLE_PLAYER_MODES.includes(room.mode)) {
+      throw new ValidationError('Single-player rooms cannot be watched');
+    }
+
+    if (!room.spectators) room.spectators = [];
+    if (!room.spectators.includes(spectatorId)) {
+      room.spectators.push(spectatorId);
+      this.touch(room);
+      logger.logRoomEvent('spectator_joined', code, { spectatorCount: room.spectators.length });
+    }
+
+    return room;
+  }
+
+  // Stop a socket watching a room; returns the room if it was watching
+  removeSpectator(code, spectatorId) {
+    const room = this.rooms.get(code);
+    if (!room || !room.spectators || !room.spectators.includes(spectatorId)) return null;
+
+    room.spectators = room.spectators.filter(id => id !== spectatorId);
+    this.touch(room);
+    logger.logRoomEvent('spectator_left', code, { spectatorCount: room.spectators.length });
+
+    return room;
+  }
+
+  getSpectatorCount(room) {
+    return (room.spectators || []).length;
+  }
+
+  // Whether spectators may see a player's letters. Any finished board narrows down the answer, and a
+  // player can spectate their own room, so letters stay hidden until the word is over for everyone
+  // (round-over in battle royale, game-over in a duel).
+  canRevealToSpectators(room, player) {
+    const done = player.won || player.eliminated || player.forfeited;
+    return !!done && (room.status !== 'playing' || room.scoredRound === room.roundNumber);
+  }
+
+  // Add a computer-controlled player (host only); it shows up in room.players like anyone else
+  addBot(code, hostUsername, strength = 'medium') {
+    const room = this.rooms.get(code);
+    if (!room) {
+      throw new NotFoundError('Room not found');
+    }
+
+    this.assertHost(room, hostUsername, 'add bots');
+
+    if (room.status !== 'waiting') {
+      throw new ValidationError('Bots can only be added before the game starts');
+    }
+
+    if (config.SINGLE_PLAYER_MODES.includes(room.mode)) {
+      throw new ValidationError(`Bots cannot join ${room.mode} rooms`);
+    }
+
+    if (!botPlayer.getStrengths().includes(strength)) {
+      throw new ValidationError(`Bot strength must be one of: ${botPlayer.getStrengths().join(', ')}`);
+    }
+
+    if (room.players.length >= room.maxPlayers) {
+      throw new ValidationError(`Room is full (${room.maxPlayers} players max)`);
+    }
+
+    const bot = this.createPlayer(botPlayer.pickName(room.players.map(p => p.username)));
+    bot.isBot = true;
+    bot.botStrength = strength;
+    bot.rating = null; // bots are never rated
+    bot.connected = true;
+
+    room.players.push(bot);
+    this.touch(room);
+
+    logger.logRoomEvent('bot_added', code, { host: hostUsername, bot: bot.username, strength });
+
+    return room;
+  }
+
   // Remove player from room
   removePlayerFromRoom(code, username) {
     const room = this.rooms.get(code);
@@ -119,16 +312,17 @@ class RoomManager {
     if (playerIndex === -1) return false;
 
     room.players.splice(playerIndex, 1);
-    room.lastActivity = new Date();
+    this.touch(room);
 
-    // If no players left, delete the room
-    if (room.players.length === 0) {
+    // If no people are left (bots don't count), delete the room
+    const humans = room.players.filter(p => !p.isBot);
+    if (humans.length === 0) {
       this.deleteRoom(code);
       logger.logRoomEvent('room_deleted_empty', code, { reason: 'no_players_left' });
     } else {
       // If host left, assign new host
       if (room.hostId === username) {
-        room.hostId = room.players[0].username;
+        room.hostId = humans[0].username;
         logger.logRoomEvent('host_changed', code, { newHost: room.hostId });
       }
       
@@ -138,31 +332,53 @@ class RoomManager {
     return true;
   }
 
-  // Start game in room
-  startGame(code, customWord = null) {
+  // Throw unless the given player is the room's host
+  assertHost(room, username, action) {
+    if (room.hostId !== username) {
+      throw new AuthorizationError(`Only the host can ${action}`);
+    }
+  }
+
+  // Start game in room (host only)
+  startGame(code, customWord = null, requestedBy) {
     const room = this.rooms.get(code);
     if (!room) {
       throw new Error('Room not found');
     }
 
+    this.assertHost(room, requestedBy, 'start the game');
+
     if (room.status !== 'waiting') {
       throw new Error('Game already in progress');
     }
 
-    if (room.players.length < 2) {
-      throw new Error('Need at least 2 players to start');
+    const minPlayers = this.getModeMinPlayers(room.mode);
+    if (room.players.length < minPlayers) {
+      throw new ValidationError(`Need at least ${minPlayers} players to start`);
+    }
+
+    if (customWord && customWord.trim() && !room.settings.allowCustomWords) {
+      throw new ValidationError('Custom words are disabled in this room');
     }
 
-    // Set solution word
+    if (customWord && customWord.trim() && customWord.trim().length !== room.settings.wordLength) {
+      throw new ValidationError(`Custom word must be exactly ${room.settings.wordLength} letters`);
+    }
+
+    // Set solution word. The daily puzzle's word comes from dailyChallenge, not from a player.
+    room.customWord = !!(customWord && customWord.trim()) && room.mode !== 'daily';
     if (customWord && customWord.trim()) {
       room.solutionWord = customWord.trim().toUpperCase();
     } else {
-      room.solutionWord = this.getRandomWord();
+      room.solutionWord = this.getRandomWord(room);
     }
+    this.rememberWord(room, room.solutionWord);
 
-    // Reset player states
+    // Reset player states (series totals carry over between games)
     room.players.forEach(player => {
       player.eliminated = false;
+      player.forfeited = false;
+      player.knockedOut = false;
       player.guesses = [];
       player.won = false;
       player.score = 0;
@@ -170,8 +386,16 @@ class RoomManager {
 
     room.status = 'playing';
     room.gameStartTime = new Date();
-    room.roundNumber = 1;
-    room.lastActivity = new Date();
+    room.roundStartTime = room.gameStartTime;
+    room.scoredRound = null;
+    room.scoreboard = null;
+    room.sprint = room.settings.sprintDuration
+      ? { duration: room.settings.sprintDuration, wordsSolved: 0, wordsFailed: 0 }
+      : null;
+    room.rematchVotes = [];
+    this.touch(room);
+
+    this.persistRoom(room);
 
     logger.logRoomEvent('game_started', code, { 
       customWord: !!customWord, 
@@ -183,34 +407,64 @@ class RoomManager {
   }
 
   // Submit guess for a player
-  submitGuess(code, username, guess, attemptNumber) {
+  // The guess is scored here against the private solution; clients never see the answer.
+  // Rejected guesses throw a GuessRejectedError and do not use up an attempt.
+  submitGuess(code, username, guess) {
     const room = this.rooms.get(code);
     if (!room) {
       throw new Error('Room not found');
     }
 
     const player = room.players.find(p => p.username === username);
-    if (!player || player.eliminated) {
-      throw new Error('Player not found or already eliminated');
+    if (!player) {
+      throw new Error('Player not found');
+    }
+
+    if (room.status !== 'playing') {
+      throw new GuessRejectedError('not_your_turn', 'The game is not in progress');
+    }
+
+    if (player.eliminated || player.won) {
+      throw new GuessRejectedError('not_your_turn', 'You have already finished this game');
     }
 
     // Validate guess
-    if (guess.length !== config.WORD_LENGTH || !/^[A-Z]+$/.test(guess)) {
-      throw new Error(`Guess must be exactly ${config.WORD_LENGTH} letters`);
+    const { wordLength } = room.settings;
+    const normalizedGuess = typeof guess === 'string' ? guess.trim().toUpperCase() : '';
+    if (normalizedGuess.length !== wordLength || !/^[A-Z]+$/.test(normalizedGuess)) {
+      throw new GuessRejectedError('wrong_length', `Guess must be exactly ${wordLength} letters`);
+    }
+
+    if (player.guesses.some(g => g.word === normalizedGuess)) {
+      throw new GuessRejectedError('already_guessed', `You already guessed ${normalizedGuess}`);
+    }
+
+    if (!room.settings.allowFreeformGuesses && !wordValidator.isValidWord(normalizedGuess, wordLength)) {
+      throw new GuessRejectedError('not_in_dictionary', `${normalizedGuess} is not in the word list`);
+    }
+
+    if (room.settings.hardMode) {
+      const violation = wordValidator.getHardModeViolation(normalizedGuess, player.guesses);
+      if (violation) {
+        throw new GuessRejectedError('hard_mode_violation', violation);
+      }
     }
 
-    // Store guess
-    if (!player.guesses) player.guesses = [];
+    // Score and store guess
+    const attemptNumber = player.guesses.length + 1;
+    const feedback = wordValidator.evaluateGuess(normalizedGuess, room.solutionWord);
+
     player.guesses.push({ 
-      word: guess, 
+      word: normalizedGuess, 
+      feedback,
       attempt: attemptNumber,
       timestamp: new Date()
     });
+    this.touch(room);
 
     // Check if player won
-    if (guess === room.solutionWord) {
+    if (normalizedGuess === room.solutionWord) {
       player.won = true;
-      player.score = attemptNumber;
       
       logger.logGameEvent('player_won', { 
         roomCode: code, 
@@ -218,11 +472,11 @@ class RoomManager {
         attempts: attemptNumber 
       });
 
-      return { won: true, player, room };
+      return { won: true, feedback, attemptNumber, player, room };
     }
 
     // Check if player is out of attempts
-    if (player.guesses.length >= config.MAX_GUESSES) {
+    if (player.guesses.length >= room.settings.maxGuesses) {
       player.eliminated = true;
       
       logger.logGameEvent('player_eliminated', { 
@@ -231,18 +485,673 @@ class RoomManager {
         reason: 'out_of_attempts' 
       });
 
-      return { eliminated: true, player, room };
+      return { eliminated: true, feedback, attemptNumber, player, room };
+    }
+
+    return { continue: true, feedback, attemptNumber, player, room };
+  }
+
+  // Battle royale: true once every player still in the game has solved or failed the current word
+  isRoundComplete(room) {
+    return room.players
+      .filter(p => !p.knockedOut)
+      .every(p => p.won || p.eliminated);
+  }
+
+  // Battle royale: close the current round. Anyone who failed or forfeited is knocked out,
+  // along with the slowest solver. If nobody solved the word, everyone still playing survives.
+  completeRound(code) {
+    const room = this.rooms.get(code);
+    if (!room) {
+      throw new NotFoundError('Room not found');
+    }
+
+    const roundScores = this.scoreRound(room) || [];
+
+    const roundPlayers = room.players.filter(p => !p.knockedOut);
+
+    // Solvers ranked by attempts, then by how long they took
+    const standings = roundPlayers
+      .map(p => ({
+        username: p.username,
+        solved: p.won,
+        forfeited: !!p.forfeited,
+        attempts: p.won ? p.guesses.length : null,
+        timeMs: this.getSolveTime(room, p)
+      }))
+      .sort((a, b) => {
+        if (a.solved !== b.solved) return a.solved ? -1 : 1;
+        if (!a.solved) return 0;
+        return a.attempts - b.attempts || a.timeMs - b.timeMs;
+      });
+
+    const solvers = standings.filter(s => s.solved);
+    const knockedOut = solvers.length > 0
+      ? standings.filter(s => !s.solved).map(s => s.username)
+      : standings.filter(s => s.forfeited).map(s => s.username);
+
+    // The slowest solver goes too, as long as someone is left standing
+    if (solvers.length > 1) {
+      knockedOut.push(solvers[solvers.length - 1].username);
+    }
+
+    roundPlayers.forEach(p => {
+      if (knockedOut.includes(p.username)) {
+        p.knockedOut = true;
+        p.eliminated = true;
+      }
+    });
+
+    standings.forEach((s, i) => {
+      const roundScore = roundScores.find(r => r.username === s.username);
+      s.position = i + 1;
+      s.points = roundScore ? roundScore.points : 0;
+      s.knockedOut = knockedOut.includes(s.username);
+    });
+
+    const survivors = roundPlayers.filter(p => !p.knockedOut).map(p => p.username);
+    const winner = survivors.length === 1 ? survivors[0] : null;
+    this.touch(room);
+
+    logger.logRoomEvent('round_completed', code, { 
+      roundNumber: room.roundNumber, 
+      knockedOut, 
+      survivors: survivors.length 
+    });
+
+    return { roundNumber: room.roundNumber, standings, knockedOut, survivors, winner };
+  }
+
+  // Battle royale: give the survivors a fresh word and a clean board
+  startNextRound(code) {
+    const room = this.rooms.get(code);
+    if (!room) {
+      throw new NotFoundError('Room not found');
+    }
+
+    if (room.status !== 'playing') {
+      throw new ValidationError('Game is not in progress');
+    }
+
+    room.solutionWord = this.getRandomWord(room);
+    this.rememberWord(room, room.solutionWord);
+
+    // Points carry over from round to round
+    room.players.forEach(player => {
+      player.guesses = [];
+      player.won = false;
+      player.eliminated = !!player.knockedOut;
+    });
+
+    room.roundNumber++;
+    room.roundStartTime = new Date();
+    this.touch(room);
+
+    logger.logRoomEvent('round_started', code, { 
+      roundNumber: room.roundNumber, 
+      survivors: room.players.filter(p => !p.knockedOut).length 
+    });
+
+    return room;
+  }
+
+  // Solo sprint: bank the word just solved or failed and move straight on to the next one
+  advanceSprint(code) {
+    const room = this.rooms.get(code);
+    if (!room || !room.sprint) {
+      throw new ValidationError('This room is not running a sprint');
+    }
+
+    const player = room.players[0];
+    const solved = player.won;
+    const solutionWord = room.solutionWord;
+    const [roundScore] = this.scoreRound(room) || [];
+
+    if (solved) {
+      room.sprint.wordsSolved++;
+    } else {
+      room.sprint.wordsFailed++;
+    }
+
+    this.startNextRound(code);
+
+    return { solved, solutionWord, points: roundScore ? roundScore.points : 0, sprint: room.sprint, room };
+  }
+
+  // Milliseconds from the start of the current word to a player's solving guess, or null if unsolved
+  getSolveTime(room, player) {
+    const lastGuess = player.guesses[player.guesses.length - 1];
+    if (!player.won || !lastGuess) return null;
+
+    const roundStart = new Date(room.roundStartTime || room.gameStartTime).getTime();
+    return new Date(lastGuess.timestamp).getTime() - roundStart;
+  }
+
+  // Award points for the current word once; later calls for the same round do nothing
+  scoreRound(room) {
+    if (room.scoredRound === room.roundNumber) return null;
+
+    const results = scoring.scoreRound(room);
+    results.forEach(result => {
+      const player = room.players.find(p => p.username === result.username);
+      if (player) {
+        player.score += result.points;
+      }
+    });
+    room.scoredRound = room.roundNumber;
+
+    logger.logGameEvent('round_scored', { 
+      roomCode: room.code, 
+      roundNumber: room.roundNumber, 
+      points: results.map(r => ({ username: r.username, points: r.points })) 
+    });
+
+    return results;
+  }
+
+  // Empty series state for a room
+  createSeries() {
+    return {
+      gamesPlayed: 0,
+      completed: false,
+      winner: null
+    };
+  }
+
+  // Finish the current game and fold its result into the series
+  finishGame(code, winner) {
+    const room = this.rooms.get(code);
+    if (!room) {
+      throw new NotFoundError('Room not found');
+    }
+
+    this.scoreRound(room);
+    room.scoreboard = scoring.rankPlayers(room.players, winner);
+    room.scoreHistory.push(...room.scoreboard.map(entry => ({ 
+      roundNumber: room.roundNumber, 
+      username: entry.username, 
+      score: entry.score 
+    })));
+
+    room.status = 'finished';
+    this.touch(room);
+
+    const series = room.series;
+    series.gamesPlayed++;
+
+    room.players.forEach(player => {
+      player.totalScore += player.score;
+      if (player.username === winner) {
+        player.seriesWins++;
+      }
+    });
+
+    // Best-of-N: done once someone has a majority of the games or all games are played
+    const winsNeeded = Math.floor(room.settings.bestOf / 2) + 1;
+    const standings = this.getSeriesStandings(room);
+    const leader = standings[0];
+    if (leader && (leader.wins >= winsNeeded || series.gamesPlayed >= room.settings.bestOf)) {
+      const tied = standings.filter(s => s.wins === leader.wins && s.totalScore === leader.totalScore);
+      series.completed = true;
+      series.winner = tied.length === 1 ? leader.username : null;
+    }
+
+    this.persistRoom(room);
+    storage.archiveGame(this.createGameRecord(room, winner))
+      .catch(error => logger.logError(error, { roomCode: code, operation: 'archive_game' }));
+
+    logger.logRoomEvent('game_finished', code, { 
+      winner, 
+      gamesPlayed: series.gamesPlayed, 
+      bestOf: room.settings.bestOf,
+      seriesCompleted: series.completed 
+    });
+
+    return room;
+  }
+
+  // Show players' new ratings once a rated duel has been recorded
+  applyRatingChanges(code, changes) {
+    const room = this.rooms.get(code);
+    if (!room) return null;
+
+    changes.forEach(change => {
+      const player = room.players.find(p => p.username === change.username);
+      if (player) {
+        player.rating = change.rating;
+      }
+    });
+    this.touch(room);
+
+    return room;
+  }
+
+  // Players ordered by series wins, then by cumulative score
+  getSeriesStandings(room) {
+    return room.players
+      .map(p => ({ username: p.username, wins: p.seriesWins, totalScore: p.totalScore }))
+      .sort((a, b) => b.wins - a.wins || b.totalScore - a.totalScore);
+  }
+
+  // Vote for a rematch after a game has finished; returns the current tally
+  voteRematch(code, username) {
+    const room = this.rooms.get(code);
+    if (!room) {
+      throw new NotFoundError('Room not found');
+    }
+
+    if (room.status !== 'finished') {
+      throw new ValidationError('A rematch can only be requested after the game is over');
+    }
+
+    if (room.mode === 'daily') {
+      throw new ValidationError('The daily puzzle can only be played once');
+    }
+
+    if (!room.rematchVotes.includes(username)) {
+      room.rematchVotes.push(username);
+      this.touch(room);
+    }
+
+    // Majority of the players still connected to the room
+    const people = room.players.filter(p => !p.isBot);
+    const voters = people.filter(p => p.connected).length || people.length;
+    const needed = Math.floor(voters / 2) + 1;
+
+    logger.logRoomEvent('rematch_vote', code, { username, votes: room.rematchVotes.length, needed });
+
+    return { votes: room.rematchVotes.length, needed, passed: room.rematchVotes.length >= needed };
+  }
+
+  // Reset a finished room and start the next game with a fresh word.
+  // A completed series starts over; otherwise the series continues.
+  startRematch(code) {
+    const room = this.rooms.get(code);
+    if (!room) {
+      throw new NotFoundError('Room not found');
+    }
+
+    if (room.status !== 'finished') {
+      throw new ValidationError('A rematch can only be started after the game is over');
+    }
+
+    if (room.mode === 'daily') {
+      throw new ValidationError('The daily puzzle can only be played once');
+    }
+
+    // Players who forfeited by leaving and never came back would otherwise be dealt back in
+    const departed = room.players.filter(p => !p.isBot && !p.connected && p.forfeited);
+
+    // Checked before anything changes, so a refused rematch leaves the finished game as it was
+    const minPlayers = this.getModeMinPlayers(room.mode);
+    if (room.players.length - departed.length < minPlayers) {
+      throw new ValidationError(`Need at least ${minPlayers} players to start`);
+    }
+
+    departed.forEach(p => this.removePlayerFromRoom(code, p.username));
+
+    if (room.series.completed) {
+      room.series = this.createSeries();
+      room.players.forEach(player => {
+        player.seriesWins = 0;
+        player.totalScore = 0;
+      });
+    }
+
+    room.status = 'waiting';
+    room.roundNumber++;
+
+    logger.logRoomEvent('rematch_started', code, { roundNumber: room.roundNumber, gameNumber: room.series.gamesPlayed + 1 });
+
+    return this.startGame(code, null, room.hostId);
+  }
+
+  // Remove a player at the host's request; a running game counts as a forfeit for them
+  kickPlayer(code, hostUsername, targetUsername) {
+    const room = this.rooms.get(code);
+    if (!room) {
+      throw new NotFoundError('Room not found');
+    }
+
+    this.assertHost(room, hostUsername, 'kick players');
+
+    if (targetUsername === hostUsername) {
+      throw new ValidationError('The host cannot kick themselves');
+    }
+
+    if (!room.players.some(p => p.username === targetUsername)) {
+      throw new NotFoundError('Player not found in this room');
+    }
+
+    const forfeited = !!this.forfeitPlayer(code, targetUsername);
+
+    room.kickedPlayers.push(targetUsername);
+    this.removePlayerFromRoom(code, targetUsername);
+
+    logger.logRoomEvent('player_kicked', code, { host: hostUsername, username: targetUsername, forfeited });
+
+    return { room, forfeited };
+  }
+
+  // Hand the host role to another player
+  transferHost(code, hostUsername, targetUsername) {
+    const room = this.rooms.get(code);
+    if (!room) {
+      throw new NotFoundError('Room not found');
+    }
+
+    this.assertHost(room, hostUsername, 'transfer the host role');
+
+    const target = room.players.find(p => p.username === targetUsername);
+    if (!target) {
+      throw new NotFoundError('Player not found in this room');
+    }
+
+    if (target.isBot) {
+      throw new ValidationError('A bot cannot be the host');
+    }
+
+    room.hostId = targetUsername;
+    this.touch(room);
+
+    logger.logRoomEvent('host_changed', code, { previousHost: hostUsername, newHost: targetUsername });
+
+    return room;
+  }
+
+  // Lock or unlock the room to new players
+  setRoomLocked(code, hostUsername, locked) {
+    const room = this.rooms.get(code);
+    if (!room) {
+      throw new NotFoundError('Room not found');
+    }
+
+    this.assertHost(room, hostUsername, 'lock the room');
+
+    room.locked = !!locked;
+    this.touch(room);
+
+    logger.logRoomEvent(room.locked ? 'room_locked' : 'room_unlocked', code, { host: hostUsername });
+
+    return room;
+  }
+
+  // Change room settings before the game starts
+  updateSettings(code, hostUsername, settings = {}) {
+    const room = this.rooms.get(code);
+    if (!room) {
+      throw new NotFoundError('Room not found');
+    }
+
+    this.assertHost(room, hostUsername, 'change room settings');
+
+    if (room.status !== 'waiting') {
+      throw new ValidationError('Settings can only be changed before the game starts');
+    }
+
+    const {
+      maxGuesses, maxPlayers, wordLength, allowCustomWords, allowFreeformGuesses, hardMode, bestOf, difficulty,
+      turnTimeLimit, gameTimeLimit, timeoutAction, scoring: scoringSystem, sprintDuration, visibility
+    } = settings;
+
+    if (maxGuesses !== undefined) {
+      if (!Number.isInteger(maxGuesses) || maxGuesses < config.MIN_GUESSES_ALLOWED || maxGuesses > config.MAX_GUESSES_ALLOWED) {
+        throw new ValidationError(`Max guesses must be between ${config.MIN_GUESSES_ALLOWED} and ${config.MAX_GUESSES_ALLOWED}`);
+      }
+    }
+
+    if (wordLength !== undefined && !wordValidator.getAvailableLengths().includes(wordLength)) {
+      throw new ValidationError(`Word length must be one of ${wordValidator.getAvailableLengths().join(', ')}`);
+    }
+
+    if (maxPlayers !== undefined) {
+      const modeLimit = this.getModeMaxPlayers(room.mode);
+      const modeMinimum = this.getModeMinPlayers(room.mode);
+      if (!Number.isInteger(maxPlayers) || maxPlayers < modeMinimum || maxPlayers > modeLimit) {
+        throw new ValidationError(`Max players must be between ${modeMinimum} and ${modeLimit}`);
+      }
+      if (maxPlayers < room.players.length) {
+        throw new ValidationError('Max players cannot be lower than the current player count');
+      }
     }
 
-    return { continue: true, player, room };
+    if (allowCustomWords !== undefined && typeof allowCustomWords !== 'boolean') {
+      throw new ValidationError('allowCustomWords must be true or false');
+    }
+
+    if (allowFreeformGuesses !== undefined && typeof allowFreeformGuesses !== 'boolean') {
+      throw new ValidationError('allowFreeformGuesses must be true or false');
+    }
+
+    if (turnTimeLimit !== undefined && turnTimeLimit !== null) {
+      if (!Number.isInteger(turnTimeLimit) || turnTimeLimit < config.MIN_TURN_TIME_LIMIT || turnTimeLimit > config.MAX_TURN_TIME_LIMIT) {
+        throw new ValidationError(`Turn time limit must be between ${config.MIN_TURN_TIME_LIMIT} and ${config.MAX_TURN_TIME_LIMIT} seconds`);
+      }
+    }
+
+    if (gameTimeLimit !== undefined && gameTimeLimit !== null) {
+      if (!Number.isInteger(gameTimeLimit) || gameTimeLimit < config.MIN_GAME_TIME_LIMIT || gameTimeLimit > config.MAX_GAME_TIME_LIMIT) {
+        throw new ValidationError(`Game time limit must be between ${config.MIN_GAME_TIME_LIMIT} and ${config.MAX_GAME_TIME_LIMIT} seconds`);
+      }
+    }
+
+    if (timeoutAction !== undefined && !['forfeit_attempt', 'eliminate'].includes(timeoutAction)) {
+      throw new ValidationError('Timeout action must be "forfeit_attempt" or "eliminate"');
+    }
+
+    if (sprintDuration !== undefined && sprintDuration !== null) {
+      if (room.mode !== 'solo') {
+        throw new ValidationError('Sprints are only available in solo mode');
+      }
+      if (!config.SPRINT_DURATIONS.includes(sprintDuration)) {
+        throw new ValidationError(`Sprint duration must be one of ${config.SPRINT_DURATIONS.join(', ')} seconds`);
+      }
+    }
+
+    if (visibility !== undefined) {
+      if (!['public', 'private'].includes(visibility)) {
+        throw new ValidationError('Visibility must be "public" or "private"');
+      }
+      if (visibility === 'public' && config.SINGLE_PLAYER_MODES.includes(room.mode)) {
+        throw new ValidationError('Single-player rooms cannot be listed in the lobby');
+      }
+    }
+
+    if (scoringSystem !== undefined && !scoring.has(scoringSystem)) {
+      throw new ValidationError(`Scoring must be one of: ${scoring.getStrategyNames().join(', ')}`);
+    }
+
+    if (hardMode !== undefined && typeof hardMode !== 'boolean') {
+      throw new ValidationError('hardMode must be true or false');
+    }
+
+    if (difficulty !== undefined && difficulty !== null && ![1, 2, 3].includes(difficulty)) {
+      throw new ValidationError('Difficulty must be 1, 2, 3 or null');
+    }
+
+    if (bestOf !== undefined) {
+      if (!Number.isInteger(bestOf) || bestOf < 1 || bestOf > config.MAX_SERIES_LENGTH || bestOf % 2 === 0) {
+        throw new ValidationError(`Series length must be an odd number between 1 and ${config.MAX_SERIES_LENGTH}`);
+      }
+      if (bestOf <= room.series.gamesPlayed) {
+        throw new ValidationError('Series length must be longer than the games already played');
+      }
+    }
+
+    // Only apply once everything has been validated
+    if (maxGuesses !== undefined) room.settings.maxGuesses = maxGuesses;
+    if (wordLength !== undefined) room.settings.wordLength = wordLength;
+    if (maxPlayers !== undefined) room.maxPlayers = maxPlayers;
+    if (allowCustomWords !== undefined) room.settings.allowCustomWords = allowCustomWords;
+    if (allowFreeformGuesses !== undefined) room.settings.allowFreeformGuesses = allowFreeformGuesses;
+    if (hardMode !== undefined) room.settings.hardMode = hardMode;
+    if (turnTimeLimit !== undefined) room.settings.turnTimeLimit = turnTimeLimit;
+    if (gameTimeLimit !== undefined) room.settings.gameTimeLimit = gameTimeLimit;
+    if (timeoutAction !== undefined) room.settings.timeoutAction = timeoutAction;
+    if (bestOf !== undefined) room.settings.bestOf = bestOf;
+    if (difficulty !== undefined) room.settings.difficulty = difficulty;
+    if (scoringSystem !== undefined) room.settings.scoring = scoringSystem;
+    if (sprintDuration !== undefined) room.settings.sprintDuration = sprintDuration;
+    if (visibility !== undefined) room.settings.visibility = visibility;
+    this.touch(room);
+
+    logger.logRoomEvent('settings_updated', code, { host: hostUsername, settings: room.settings, maxPlayers: room.maxPlayers });
+
+    return room;
   }
 
-  // Get random word from dictionary
-  getRandomWord() {
-    // This would typically load from a word list
-    // For now, return a placeholder
-    const fallbackWords = ['HELLO', 'WORLD', 'GAMES', 'PLAYS', 'SMART'];
-    return fallbackWords[Math.floor(Math.random() * fallbackWords.length)];
+  // Mark a player's socket as connected or disconnected
+  setPlayerConnected(code, username, connected) {
+    const room = this.rooms.get(code);
+    if (!room) return null;
+
+    const player = room.players.find(p => p.username === username);
+    if (!player) return null;
+
+    player.connected = connected;
+    player.disconnectedAt = connected ? null : new Date();
+    this.touch(room);
+
+    logger.logRoomEvent(connected ? 'player_connected' : 'player_disconnected', code, { username });
+
+    return player;
+  }
+
+  // Knock out a player who is still playing; returns the player, or null if nothing changed
+  eliminatePlayer(code, username, reason) {
+    const room = this.rooms.get(code);
+    if (!room || room.status !== 'playing') return null;
+
+    const player = room.players.find(p => p.username === username);
+    if (!player || player.eliminated || player.won) return null;
+
+    player.eliminated = true;
+    this.touch(room);
+
+    logger.logGameEvent('player_eliminated', { 
+      roomCode: code, 
+      username, 
+      reason 
+    });
+
+    return player;
+  }
+
+  // Forfeit a player who is still playing (e.g. they never came back after a disconnect)
+  forfeitPlayer(code, username) {
+    const player = this.eliminatePlayer(code, username, 'forfeit');
+    if (player) {
+      player.forfeited = true;
+    }
+    return player;
+  }
+
+  // A player ran out of time for a guess: burn the attempt as an empty row
+  forfeitAttempt(code, username) {
+    const room = this.rooms.get(code);
+    if (!room || room.status !== 'playing') return null;
+
+    const player = room.players.find(p => p.username === username);
+    if (!player || player.eliminated || player.won) return null;
+
+    const attemptNumber = player.guesses.length + 1;
+    player.guesses.push({
+      word: null,
+      feedback: null,
+      attempt: attemptNumber,
+      timedOut: true,
+      timestamp: new Date()
+    });
+    this.touch(room);
+
+    logger.logGameEvent('attempt_timed_out', { roomCode: code, username, attempt: attemptNumber });
+
+    if (player.guesses.length >= room.settings.maxGuesses) {
+      this.eliminatePlayer(code, username, 'out_of_attempts');
+      return { eliminated: true, attemptNumber, player, room };
+    }
+
+    return { continue: true, attemptNumber, player, room };
+  }
+
+  // Pick a solution from the answer list, avoiding the room's recent answers
+  getRandomWord(room) {
+    return wordValidator.getRandomAnswer({
+      exclude: room ? room.recentWords : [],
+      difficulty: room ? room.settings.difficulty : null,
+      length: room ? room.settings.wordLength : config.WORD_LENGTH
+    });
+  }
+
+  // Remember a room's answer so it is not picked again soon
+  rememberWord(room, word) {
+    room.recentWords.push(word);
+    if (room.recentWords.length > config.RECENT_WORDS_LIMIT) {
+      room.recentWords.splice(0, room.recentWords.length - config.RECENT_WORDS_LIMIT);
+    }
+  }
+
+  // Public view of a player. Guess letters are only included when revealWords is set,
+  // otherwise opponents just see the colour pattern of each row.
+  serializePlayer(player, { revealWords = false } = {}) {
+    return {
+      id: player.id,
+      username: player.username,
+      score: player.score,
+      eliminated: player.eliminated,
+      won: player.won,
+      forfeited: !!player.forfeited,
+      knockedOut: !!player.knockedOut,
+      connected: !!player.connected,
+      isBot: !!player.isBot,
+      ...(player.isBot && { botStrength: player.botStrength }),
+      seriesWins: player.seriesWins,
+      totalScore: player.totalScore,
+      rating: player.rating === undefined ? null : player.rating,
+      joinedAt: player.joinedAt,
+      guesses: (player.guesses || []).map(g => ({
+        ...(revealWords ? { word: g.word } : {}),
+        feedback: g.feedback,
+        attempt: g.attempt,
+        ...(g.timedOut ? { timedOut: true } : {})
+      }))
+    };
+  }
+
+  // Public view of a room, safe to broadcast. Never includes the solution word.
+  // forSpectators shows the letters spectators are allowed to see, see canRevealToSpectators().
+  serializeRoom(room, { revealWords = false, forSpectators = false } = {}) {
+    return {
+      code: room.code,
+      hostId: room.hostId,
+      players: room.players.map(p => this.serializePlayer(p, {
+        revealWords: revealWords || (forSpectators && this.canRevealToSpectators(room, p))
+      })),
+      spectatorCount: this.getSpectatorCount(room),
+      status: room.status,
+      mode: room.mode,
+      maxPlayers: room.maxPlayers,
+      locked: room.locked,
+      gameStartTime: room.gameStartTime,
+      roundNumber: room.roundNumber,
+      sprint: room.sprint || null,
+      customWord: !!room.customWord,
+      series: this.serializeSeries(room),
+      createdAt: room.createdAt,
+      lastActivity: room.lastActivity,
+      settings: room.settings
+    };
+  }
+
+  // Public view of the room's series
+  serializeSeries(room) {
+    return {
+      bestOf: room.settings.bestOf,
+      gamesPlayed: room.series.gamesPlayed,
+      completed: room.series.completed,
+      winner: room.series.winner,
+      standings: this.getSeriesStandings(room)
+    };
   }
 
   // Get all rooms (for debugging/admin)
@@ -250,6 +1159,53 @@ class RoomManager {
     return Array.from(this.rooms.values());
   }
 
+  // Whether a room belongs in the public lobby: public, not started, unlocked and not full
+  isListed(room) {
+    return room.settings.visibility === 'public' &&
+      room.status === 'waiting' &&
+      !room.locked &&
+      room.players.length < room.maxPlayers;
+  }
+
+  // One page of joinable public rooms, newest first, optionally filtered
+  getLobbyRooms({ mode = null, wordLength = null, hardMode = null, page = 1, limit = config.LOBBY_PAGE_SIZE } = {}) {
+    const rooms = Array.from(this.rooms.values())
+      .filter(room => this.isListed(room))
+      .filter(room => !mode || room.mode === mode)
+      .filter(room => !wordLength || room.settings.wordLength === wordLength)
+      .filter(room => hardMode === null || hardMode === undefined || room.settings.hardMode === hardMode)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    const start = (page - 1) * limit;
+
+    return {
+      rooms: rooms.slice(start, start + limit).map(room => this.serializeLobbyRoom(room)),
+      page,
+      limit,
+      total: rooms.length,
+      totalPages: Math.ceil(rooms.length / limit)
+    };
+  }
+
+  // What the lobby shows about a room
+  serializeLobbyRoom(room) {
+    const host = room.players.find(p => p.username === room.hostId);
+    return {
+      code: room.code,
+      mode: room.mode,
+      hostId: room.hostId,
+      hostRating: host && host.rating !== undefined ? host.rating : null,
+      playerCount: room.players.length,
+      maxPlayers: room.maxPlayers,
+      settings: {
+        wordLength: room.settings.wordLength,
+        maxGuesses: room.settings.maxGuesses,
+        hardMode: room.settings.hardMode,
+        bestOf: room.settings.bestOf
+      },
+      createdAt: room.createdAt
+    };
+  }
+
   // Get room statistics
   getRoomStats(code) {
     const room = this.rooms.get(code);
@@ -258,6 +1214,7 @@ class RoomManager {
     return {
       code: room.code,
       playerCount: room.players.length,
+      spectatorCount: this.getSpectatorCount(room),
       maxPlayers: room.maxPlayers,
       status: room.status,
       mode: room.mode,
@@ -265,7 +1222,12 @@ class RoomManager {
       lastActivity: room.lastActivity,
       gameStartTime: room.gameStartTime,
       activePlayers: room.players.filter(p => !p.eliminated).length,
-      eliminatedPlayers: room.players.filter(p => p.eliminated).length
+      eliminatedPlayers: room.players.filter(p => p.eliminated).length,
+      gamesScored: room.scoreHistory.length > 0 ? new Set(room.scoreHistory.map(s => s.roundNumber)).size : 0,
+      averageScore: room.scoreHistory.length > 0
+        ? Math.round(room.scoreHistory.reduce((sum, s) => sum + s.score, 0) / room.scoreHistory.length)
+        : null,
+      bestScore: room.scoreHistory.reduce((best, s) => (!best || s.score > best.score ? s : best), null)
     };
   }
 
@@ -278,7 +1240,14 @@ class RoomManager {
         playerCount: room.players.length 
       });
     }
-    return this.rooms.delete(code);
+    const deleted = this.rooms.delete(code);
+    if (deleted) {
+      this.savedActivity.delete(code);
+      storage.deleteRoom(code)
+        .catch(error => logger.logError(error, { roomCode: code, operation: 'delete_room' }));
+      this.emit('roomDeleted', code);
+    }
+    return deleted;
   }
 
   // Clean up old rooms
@@ -288,10 +1257,11 @@ class RoomManager {
     
     let cleanedCount = 0;
     
+    // Other workers drop their copies when the owner's delete reaches them
     for (const [code, room] of this.rooms.entries()) {
       const roomAge = now - room.createdAt;
       
-      if (roomAge > maxAge) {
+      if (roomAge > maxAge && this.ownsRoom(code)) {
         this.deleteRoom(code);
         cleanedCount++;
         logger.logRoomEvent('room_cleaned_up', code, { 
@@ -306,6 +1276,148 @@ class RoomManager {
     }
   }
 
+  // Write a room snapshot to storage; failures are logged, the live room is unaffected.
+  // Only the owner writes a room, other workers' copies are never saved.
+  persistRoom(room) {
+    if (!this.ownsRoom(room.code)) return false;
+
+    this.savedActivity.set(room.code, new Date(room.lastActivity).getTime());
+    storage.saveRoom(room)
+      .catch(error => logger.logError(error, { roomCode: room.code, operation: 'save_room' }));
+    return true;
+  }
+
+  // Save every room that changed since its last snapshot
+  flushRooms() {
+    let flushed = 0;
+    for (const room of this.rooms.values()) {
+      if (this.savedActivity.get(room.code) !== new Date(room.lastActivity).getTime() && this.persistRoom(room)) {
+        flushed++;
+      }
+    }
+    return flushed;
+  }
+
+  // What gets archived when a game finishes
+  createGameRecord(room, winner) {
+    return {
+      roomCode: room.code,
+      mode: room.mode,
+      roundNumber: room.roundNumber,
+      solutionWord: room.solutionWord,
+      customWord: !!room.customWord,
+      winner,
+      settings: room.settings,
+      players: room.players.map(p => ({
+        username: p.username,
+        isBot: !!p.isBot,
+        score: p.score,
+        won: p.username === winner,
+        solved: p.won,
+        eliminated: p.eliminated,
+        forfeited: !!p.forfeited,
+        attempts: p.guesses.length,
+        solveTimeMs: this.getSolveTime(room, p)
+      })),
+      scoreboard: room.scoreboard,
+      startedAt: room.gameStartTime,
+      finishedAt: new Date()
+    };
+  }
+
+  // Finished games from storage, newest first (the leaderboard reads storage directly, without the cap)
+  getGameHistory({ username = null, limit = config.GAME_HISTORY_LIMIT } = {}) {
+    return storage.getGameHistory({ username, limit: Math.min(limit, config.GAME_HISTORY_LIMIT) });
+  }
+
+  // JSON leaves dates as strings; turn them back into Date objects
+  reviveDates(data) {
+    const toDate = value => (value ? new Date(value) : null);
+
+    data.createdAt = toDate(data.createdAt);
+    data.lastActivity = toDate(data.lastActivity);
+    data.gameStartTime = toDate(data.gameStartTime);
+    data.roundStartTime = toDate(data.roundStartTime);
+    data.players.forEach(player => {
+      player.joinedAt = toDate(player.joinedAt);
+      player.disconnectedAt = toDate(player.disconnectedAt);
+      player.guesses.forEach(guess => {
+        guess.timestamp = toDate(guess.timestamp);
+      });
+    });
+
+    return data;
+  }
+
+  // Turn a stored snapshot back into a live room after a restart
+  reviveRoom(data) {
+    const room = this.reviveDates(data);
+
+    // Nobody has a socket after a restart; bots need none
+    room.players.forEach(player => {
+      player.connected = !!player.isBot;
+    });
+    room.spectators = [];
+
+    return room;
+  }
+
+  // Load the rooms that were live before a restart and start writing changes back.
+  // With load: false only the write-back starts (cluster workers that get rooms from room sync).
+  async restore({ load = true } = {}) {
+    await storage.init();
+
+    const maxAge = config.MAX_ROOM_AGE_HOURS * 60 * 60 * 1000;
+    const snapshots = load ? await storage.loadRooms() : [];
+    let restored = 0;
+
+    for (const snapshot of snapshots) {
+      const room = this.reviveRoom(snapshot);
+
+      if (Date.now() - room.createdAt > maxAge || this.rooms.has(room.code)) {
+        storage.deleteRoom(room.code)
+          .catch(error => logger.logError(error, { roomCode: room.code, operation: 'delete_room' }));
+        continue;
+      }
+
+      this.rooms.set(room.code, room);
+      this.savedActivity.set(room.code, room.lastActivity.getTime());
+      restored++;
+
+      logger.logRoomEvent('room_restored', room.code, { status: room.status, playerCount: room.players.length });
+      // Other workers get a copy through room sync, and the owner picks the room up from it
+      this.emit('roomChanged', room);
+      if (this.ownsRoom(room.code)) {
+        this.emit('roomRestored', room);
+      }
+    }
+
+    this.startFlushInterval();
+    logger.info(`Restored ${restored} rooms from storage`);
+
+    return restored;
+  }
+
+  // Periodically save rooms that changed
+  startFlushInterval() {
+    if (this.flushInterval) {
+      clearInterval(this.flushInterval);
+    }
+
+    this.flushInterval = setInterval(() => this.flushRooms(), config.STORAGE_FLUSH_INTERVAL_MS);
+  }
+
+  // Save everything and close the storage backend (on shutdown)
+  async shutdown() {
+    if (this.flushInterval) {
+      clearInterval(this.flushInterval);
+      this.flushInterval = null;
+    }
+
+    this.flushRooms();
+    await storage.close();
+  }
+
   // Start cleanup interval
   startCleanupInterval() {
     if (this.cleanupInterval) {
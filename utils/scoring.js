@@ -0,0 +1,101 @@
+const config = require('../config');
+
+// Standard points: a base award for solving, bonuses for fewer guesses, speed and finishing
+// order, and a penalty for every row that did not solve the word
+function standardScoring(result, { maxGuesses }) {
+  const rules = config.SCORING;
+  const penalty = result.failedRows * rules.FAILED_ROW_PENALTY;
+
+  if (!result.solved) {
+    return { points: -penalty, breakdown: { base: 0, efficiency: 0, speed: 0, order: 0, penalty: -penalty } };
+  }
+
+  const efficiency = (maxGuesses - result.attempts) * rules.ATTEMPT_BONUS;
+  const speed = Math.max(0, rules.SPEED_BONUS_MAX - Math.floor(result.timeMs / 1000) * rules.SPEED_BONUS_DECAY);
+  const order = rules.FINISH_ORDER_BONUS[result.finishPosition - 1] || 0;
+  const breakdown = { base: rules.SOLVE_POINTS, efficiency, speed, order, penalty: -penalty };
+
+  return {
+    points: Object.values(breakdown).reduce((sum, value) => sum + value, 0),
+    breakdown
+  };
+}
+
+// Turns a round of guesses into points. Strategies are looked up by the room's
+// `scoring` setting, so new systems can be registered without touching game logic.
+class Scoring {
+  constructor() {
+    this.strategies = new Map();
+    this.register('standard', standardScoring);
+  }
+
+  // Add a scoring system: fn(result, { maxGuesses, mode }) -> { points, breakdown }
+  register(name, fn) {
+    this.strategies.set(name, fn);
+  }
+
+  // Check if a scoring system exists
+  has(name) {
+    return this.strategies.has(name);
+  }
+
+  // Names of the registered scoring systems
+  getStrategyNames() {
+    return [...this.strategies.keys()];
+  }
+
+  // What each player did with the current word: solved or not, attempts, time and finishing order
+  getRoundResults(room) {
+    const roundStart = new Date(room.roundStartTime || room.gameStartTime).getTime();
+
+    const results = room.players
+      .filter(p => !p.knockedOut)
+      .map(p => {
+        const lastGuess = p.guesses[p.guesses.length - 1];
+        const solvedAt = p.won && lastGuess ? new Date(lastGuess.timestamp).getTime() : null;
+        return {
+          username: p.username,
+          solved: p.won,
+          attempts: p.guesses.length,
+          failedRows: p.won ? p.guesses.length - 1 : p.guesses.length,
+          timeMs: solvedAt !== null ? solvedAt - roundStart : null,
+          solvedAt,
+          finishPosition: null
+        };
+      });
+
+    results
+      .filter(r => r.solved)
+      .sort((a, b) => a.solvedAt - b.solvedAt)
+      .forEach((r, i) => { r.finishPosition = i + 1; });
+
+    return results;
+  }
+
+  // Points for every player in the current round, using the room's scoring system
+  scoreRound(room) {
+    const strategy = this.strategies.get(room.settings.scoring) || this.strategies.get('standard');
+    const context = { maxGuesses: room.settings.maxGuesses, mode: room.mode };
+
+    return this.getRoundResults(room).map(result => {
+      const { points, breakdown } = strategy(result, context);
+      return { ...result, points, breakdown };
+    });
+  }
+
+  // Players ranked by points; tied players share a rank
+  rankPlayers(players, winner = null) {
+    const sorted = [...players].sort((a, b) => b.score - a.score);
+
+    return sorted.map(p => ({
+      rank: sorted.findIndex(other => other.score === p.score) + 1,
+      username: p.username,
+      score: p.score,
+      winner: p.username === winner,
+      knockedOut: !!p.knockedOut,
+      attempts: p.guesses.length
+    }));
+  }
+}
+
+module.exports = new Scoring();
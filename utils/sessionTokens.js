@@ -0,0 +1,33 @@
+const jwt = require('jsonwebtoken');
+const config = require('../config');
+
+// Session tokens tie a player to the room they created or joined through the REST API.
+// They are signed with JWT_SECRET and let a dropped client resume its seat.
+
+// Issue a session token for a player in a room
+const issueSessionToken = (username, roomCode) => {
+  return jwt.sign(
+    { username, roomCode, type: 'session' },
+    config.JWT_SECRET,
+    { expiresIn: config.SESSION_TOKEN_TTL }
+  );
+};
+
+// Verify a session token and return its payload; throws on bad or expired tokens
+const verifySessionToken = (token) => {
+  if (!token || typeof token !== 'string') {
+    throw new jwt.JsonWebTokenError('Session token is required');
+  }
+
+  const payload = jwt.verify(token, config.JWT_SECRET);
+  if (payload.type !== 'session' || !payload.username || !payload.roomCode) {
+    throw new jwt.JsonWebTokenError('Invalid session token');
+  }
+
+  return payload;
+};
+
+module.exports = {
+  issueSessionToken,
+  verifySessionToken
+};
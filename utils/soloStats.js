@@ -0,0 +1,101 @@
+const logger = require('./logger');
+const playerProfiles = require('./playerProfiles');
+
+// Personal records for solo practice games and sprints, kept in the player's profile
+class SoloStats {
+  // Empty stats for a player
+  createStats() {
+    return {
+      practice: {
+        gamesPlayed: 0,
+        wins: 0,
+        currentStreak: 0,
+        bestStreak: 0,
+        guessDistribution: {}, // attempts -> games solved in that many guesses
+        totalScore: 0,
+        bestScore: null
+      },
+      sprints: {} // duration (seconds) -> { runs, bestWordsSolved, bestScore, totalWordsSolved }
+    };
+  }
+
+  // Fold a finished solo room into the player's stats. A game on a custom word is skipped:
+  // the player picked the answer themselves.
+  recordGame(room) {
+    const player = room.players[0];
+    if (!player || room.customWord) return Promise.resolve(null);
+
+    return playerProfiles.update(player.username, profile => {
+      const solo = (profile && profile.solo) || this.createStats();
+      this.applyGame(solo, room, player);
+      return { username: player.username, ...profile, solo };
+    })
+      .then(profile => profile.solo)
+      .catch(error => {
+        logger.logError(error, { roomCode: room.code, operation: 'record_solo_stats' });
+        return null;
+      });
+  }
+
+  // Add one practice game or sprint to a player's solo stats
+  applyGame(stats, room, player) {
+    if (room.sprint) {
+      const key = room.sprint.duration;
+      const sprint = stats.sprints[key] || { runs: 0, bestWordsSolved: 0, bestScore: null, totalWordsSolved: 0 };
+
+      sprint.runs++;
+      sprint.totalWordsSolved += room.sprint.wordsSolved;
+      sprint.bestWordsSolved = Math.max(sprint.bestWordsSolved, room.sprint.wordsSolved);
+      sprint.bestScore = sprint.bestScore === null ? player.score : Math.max(sprint.bestScore, player.score);
+      stats.sprints[key] = sprint;
+
+      logger.logGameEvent('solo_sprint_recorded', {
+        username: player.username,
+        duration: key,
+        wordsSolved: room.sprint.wordsSolved,
+        score: player.score
+      });
+    } else {
+      const practice = stats.practice;
+
+      practice.gamesPlayed++;
+      practice.totalScore += player.score;
+      practice.bestScore = practice.bestScore === null ? player.score : Math.max(practice.bestScore, player.score);
+
+      if (player.won) {
+        const attempts = player.guesses.length;
+        practice.wins++;
+        practice.currentStreak++;
+        practice.bestStreak = Math.max(practice.bestStreak, practice.currentStreak);
+        practice.guessDistribution[attempts] = (practice.guessDistribution[attempts] || 0) + 1;
+      } else {
+        practice.currentStreak = 0;
+      }
+
+      logger.logGameEvent('solo_game_recorded', {
+        username: player.username,
+        won: player.won,
+        score: player.score
+      });
+    }
+  }
+
+  // Public view of a player's stats, or null if they have never played solo
+  async getStats(username) {
+    const profile = await playerProfiles.get(username);
+    if (!profile || !profile.solo) return null;
+
+    const { practice, sprints } = profile.solo;
+    return {
+      username: profile.username,
+      practice: {
+        ...practice,
+        winRate: practice.gamesPlayed > 0 ? Math.round((practice.wins / practice.gamesPlayed) * 100) : 0,
+        averageScore: practice.gamesPlayed > 0 ? Math.round(practice.totalScore / practice.gamesPlayed) : null
+      },
+      sprints
+    };
+  }
+}
+
+module.exports = new SoloStats();
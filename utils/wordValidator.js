@@ -3,30 +3,87 @@ const path = require('path');
 const logger = require('./logger');
 const config = require('../config');
 
+// 1 -> 1st, 2 -> 2nd, ...
+const ordinal = (n) => {
+  const suffixes = { 1: 'st', 2: 'nd', 3: 'rd' };
+  return `${n}${(n % 100 >= 11 && n % 100 <= 13) ? 'th' : (suffixes[n % 10] || 'th')}`;
+};
+
 class WordValidator {
   constructor() {
     this.words = [];
+    this.wordSet = new Set();
+    this.answers = [];
+    this.wordsByLength = new Map(); // length -> Set of valid guesses
+    this.answersByLength = new Map(); // length -> array of answers
     this.loadWords();
   }
 
-  // Load words from JSON file
+  // Load words from JSON files.
+  // validWords.json holds accepted 5-letter guesses and validWords<N>.json those of other lengths;
+  // answerWords.json is the curated list solutions are picked from, for every supported length.
+  // Every answer is also a valid guess.
   loadWords() {
+    let guessWords;
     try {
       const wordsData = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'validWords.json'), 'utf8'));
-      this.words = wordsData.words || [];
-      logger.info(`Loaded ${this.words.length} valid words from dictionary`);
+      guessWords = wordsData.words || [];
     } catch (error) {
       logger.error('Error loading word dictionary, using fallback words:', error);
-      this.words = [
+      guessWords = [
         'HELLO', 'WORLD', 'GAMES', 'PLAYS', 'SMART', 'BRAIN', 'QUICK', 'FAST', 'SLOW', 'EASY',
         'HAPPY', 'SMILE', 'DANCE', 'MUSIC', 'BOOKS', 'STARS', 'OCEAN', 'MOUNTAIN', 'FOREST', 'RIVER',
         'FRIEND', 'FAMILY', 'SCHOOL', 'WORK', 'HOME', 'FOOD', 'WATER', 'SLEEP', 'DREAM', 'HOPE'
       ];
     }
+
+    // Guess lists for the other lengths; without one, only answers are accepted at that length
+    for (let length = config.MIN_WORD_LENGTH; length <= config.MAX_WORD_LENGTH; length++) {
+      if (length === 5) continue;
+      try {
+        const wordsData = JSON.parse(fs.readFileSync(path.join(__dirname, '..', `validWords${length}.json`), 'utf8'));
+        guessWords = guessWords.concat(wordsData.words || []);
+      } catch (error) {
+        logger.error(`Error loading ${length}-letter word dictionary:`, error);
+      }
+    }
+
+    try {
+      const answersData = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'answerWords.json'), 'utf8'));
+      this.answers = answersData.words || [];
+    } catch (error) {
+      logger.error('Error loading answer list, picking answers from the guess list:', error);
+      this.answers = guessWords.slice();
+    }
+
+    this.wordSet = new Set([...guessWords, ...this.answers]);
+    this.words = Array.from(this.wordSet).sort();
+
+    // Index guesses and answers by length
+    this.wordsByLength = new Map();
+    this.words.forEach(word => {
+      if (!this.wordsByLength.has(word.length)) this.wordsByLength.set(word.length, new Set());
+      this.wordsByLength.get(word.length).add(word);
+    });
+
+    this.answersByLength = new Map();
+    this.answers.forEach(word => {
+      if (!this.answersByLength.has(word.length)) this.answersByLength.set(word.length, []);
+      this.answersByLength.get(word.length).push(word);
+    });
+
+    logger.info(`Loaded ${this.words.length} valid words and ${this.answers.length} answers from dictionary`);
+  }
+
+  // Word lengths that have answers available
+  getAvailableLengths() {
+    return Array.from(this.answersByLength.keys())
+      .filter(length => length >= config.MIN_WORD_LENGTH && length <= config.MAX_WORD_LENGTH)
+      .sort((a, b) => a - b);
   }
 
   // Check if a word is valid
-  isValidWord(word) {
+  isValidWord(word, length = config.WORD_LENGTH) {
     if (!word || typeof word !== 'string') {
       return false;
     }
@@ -34,12 +91,13 @@ class WordValidator {
     const normalizedWord = word.trim().toUpperCase();
     
     // Check length
-    if (normalizedWord.length !== config.WORD_LENGTH) {
+    if (normalizedWord.length !== length) {
       return false;
     }
 
     // Check if it's in our dictionary
-    return this.words.includes(normalizedWord);
+    const words = this.wordsByLength.get(length);
+    return !!words && words.has(normalizedWord);
   }
 
   // Get word suggestions based on partial input
@@ -75,13 +133,38 @@ class WordValidator {
   }
 
   // Get random word from dictionary
-  getRandomWord() {
-    if (this.words.length === 0) {
+  getRandomWord(length = config.WORD_LENGTH) {
+    const words = this.wordsByLength.get(length);
+    if (!words || words.size === 0) {
       logger.warn('No words available, returning fallback');
       return 'HELLO';
     }
     
-    return this.words[Math.floor(Math.random() * this.words.length)];
+    const pool = Array.from(words);
+    return pool[Math.floor(Math.random() * pool.length)];
+  }
+
+  // Pick a solution of the given length from the curated answer list.
+  // Words in `exclude` (e.g. a room's recent answers) are skipped unless nothing else is left.
+  getRandomAnswer({ exclude = [], difficulty = null, length = config.WORD_LENGTH } = {}) {
+    const pool = difficulty
+      ? this.getWordsByDifficulty(difficulty, { answersOnly: true, length })
+      : (this.answersByLength.get(length) || []);
+
+    if (pool.length === 0) {
+      return this.getRandomWord(length);
+    }
+
+    const excluded = new Set(exclude);
+    const fresh = pool.filter(word => !excluded.has(word));
+    const candidates = fresh.length > 0 ? fresh : pool;
+
+    return candidates[Math.floor(Math.random() * candidates.length)];
+  }
+
+  // Check if a word is on the curated answer list
+  isAnswerWord(word) {
+    return this.answers.includes(word.trim().toUpperCase());
   }
 
   // Get multiple random words
@@ -93,7 +176,7 @@ class WordValidator {
   }
 
   // Validate word format (without checking dictionary)
-  isValidWordFormat(word) {
+  isValidWordFormat(word, length = config.WORD_LENGTH) {
     if (!word || typeof word !== 'string') {
       return false;
     }
@@ -101,7 +184,7 @@ class WordValidator {
     const normalizedWord = word.trim();
     
     // Check length
-    if (normalizedWord.length !== config.WORD_LENGTH) {
+    if (normalizedWord.length !== length) {
       return false;
     }
 
@@ -113,10 +196,88 @@ class WordValidator {
     return true;
   }
 
+  // Score a guess against the solution, one entry per tile:
+  // 'correct' (right letter, right spot), 'present' (in the word elsewhere) or 'absent'.
+  // Duplicate letters are only marked as often as they appear in the solution,
+  // with exact matches taking priority over 'present'.
+  evaluateGuess(guess, solution) {
+    const guessLetters = guess.trim().toUpperCase().split('');
+    const solutionLetters = solution.trim().toUpperCase().split('');
+    const feedback = guessLetters.map(() => 'absent');
+    const unmatchedCounts = {};
+
+    // First pass: exact matches, counting the solution letters left over
+    guessLetters.forEach((letter, index) => {
+      if (letter === solutionLetters[index]) {
+        feedback[index] = 'correct';
+      } else if (solutionLetters[index]) {
+        const remaining = solutionLetters[index];
+        unmatchedCounts[remaining] = (unmatchedCounts[remaining] || 0) + 1;
+      }
+    });
+
+    // Second pass: misplaced letters, limited to the leftover counts
+    guessLetters.forEach((letter, index) => {
+      if (feedback[index] !== 'correct' && unmatchedCounts[letter] > 0) {
+        feedback[index] = 'present';
+        unmatchedCounts[letter]--;
+      }
+    });
+
+    return feedback;
+  }
+
+  // Hard mode: every revealed hint has to be reused.
+  // Green letters must stay in place and yellow letters must appear somewhere.
+  // Returns a message describing the first broken rule, or null if the guess is allowed.
+  getHardModeViolation(guess, previousGuesses) {
+    const letters = guess.trim().toUpperCase().split('');
+    const scored = previousGuesses.filter(g => g.word && Array.isArray(g.feedback));
+
+    // Green letters keep their position
+    for (const previous of scored) {
+      for (let i = 0; i < previous.feedback.length; i++) {
+        if (previous.feedback[i] === 'correct' && letters[i] !== previous.word[i]) {
+          return `${ordinal(i + 1)} letter must be ${previous.word[i]}`;
+        }
+      }
+    }
+
+    // Revealed letters must be used at least as often as they were revealed in any one guess
+    const required = {};
+    for (const previous of scored) {
+      const counts = {};
+      previous.feedback.forEach((tile, i) => {
+        if (tile === 'correct' || tile === 'present') {
+          counts[previous.word[i]] = (counts[previous.word[i]] || 0) + 1;
+        }
+      });
+      Object.entries(counts).forEach(([letter, count]) => {
+        required[letter] = Math.max(required[letter] || 0, count);
+      });
+    }
+
+    for (const [letter, count] of Object.entries(required)) {
+      const used = letters.filter(l => l === letter).length;
+      if (used < count) {
+        return count > 1 ? `Guess must contain ${count} ${letter}s` : `Guess must contain ${letter}`;
+      }
+    }
+
+    return null;
+  }
+
   // Get word statistics
   getWordStats() {
     return {
       totalWords: this.words.length,
+      answerWords: this.answers.length,
+      byLength: Object.fromEntries(Array.from(this.wordsByLength.entries())
+        .sort(([a], [b]) => a - b)
+        .map(([length, words]) => [length, {
+          words: words.size,
+          answers: (this.answersByLength.get(length) || []).length
+        }])),
       averageLength: this.words.length > 0 
         ? this.words.reduce((sum, word) => sum + word.length, 0) / this.words.length 
         : 0,
@@ -146,7 +307,7 @@ class WordValidator {
   getWordDifficulty(word) {
     const normalizedWord = word.trim().toUpperCase();
     
-    if (!this.isValidWord(normalizedWord)) {
+    if (!this.isValidWord(normalizedWord, normalizedWord.length)) {
       return 'invalid';
     }
 
@@ -186,9 +347,15 @@ class WordValidator {
     logger.info('Word dictionary reloaded');
   }
 
-  // Get words by difficulty
-  getWordsByDifficulty(difficulty) {
-    return this.words.filter(word => this.getWordDifficulty(word) === difficulty);
+  // Get words by difficulty, optionally only from the answer list or of one length
+  getWordsByDifficulty(difficulty, { answersOnly = false, length = null } = {}) {
+    let source = answersOnly ? this.answers : this.words;
+    if (length) {
+      source = answersOnly
+        ? (this.answersByLength.get(length) || [])
+        : Array.from(this.wordsByLength.get(length) || []);
+    }
+    return source.filter(word => this.getWordDifficulty(word) === difficulty);
   }
 
   // Search words with pattern matching